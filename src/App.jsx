@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import TokenInput from './components/TokenInput';
 import ResultsDisplay from './components/ResultsDisplay';
 import ErrorDisplay from './components/ErrorDisplay';
@@ -8,10 +8,25 @@ import TrendComparisonView from './components/TrendComparisonView';
 import TrendChart from './components/TrendChart';
 import ShareButton from './components/ShareButton';
 import TagInput from './components/TagInput';
-import * as githubService from './services/githubService';
+import CacheSettings from './components/CacheSettings';
+import QualifierBuilder from './components/QualifierBuilder';
+import SearchProgress from './components/SearchProgress';
+import TermStatus from './components/TermStatus';
+import GrowthSummary from './components/GrowthSummary';
+import DistributionView from './components/DistributionView';
+import ContributorAnalysis from './components/ContributorAnalysis';
+import StarHistory from './components/StarHistory';
+import LanguageBreakdown from './components/LanguageBreakdown';
+import LanguageComparison from './components/LanguageComparison';
 import * as trendTrackerService from './services/trendTrackerService';
 import * as urlSharingUtils from './utils/urlSharing';
 import * as analyticsService from './services/analyticsService';
+import * as cacheService from './services/cacheService';
+import * as termAnalysisService from './services/termAnalysisService';
+import * as starHistoryService from './services/starHistoryService';
+import { runConcurrently } from './services/executionService';
+import { applyGlobalFilters } from './utils/searchQualifiers';
+import { getErrorStatus } from './utils/errors';
 import { getGitHubToken } from './services/authService';
 
 /**
@@ -26,24 +41,75 @@ function GitHubHIndexApp() {
     const [searchTerms, setSearchTerms] = useState(
         urlParams.searchTerm ? urlParams.searchTerm.split(';').map(term => term.trim()).filter(term => term) : []
     );    const [dateLimit, setDateLimit] = useState(urlParams.dateLimit || '2023-01-01');
+    const [globalFilters, setGlobalFilters] = useState(urlParams.globalFilters || '');
+    const [showFilterBuilder, setShowFilterBuilder] = useState(false);
+    const [includeForks, setIncludeForks] = useState(urlParams.includeForks);
+    // Score for the issue/PR/discussion H-Index ('reactions' or 'comments'), empty when disabled
+    const [engagementScore, setEngagementScore] = useState(urlParams.engagementScore);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [searchProgress, setSearchProgress] = useState(null);
     const [githubToken, setGithubToken] = useState(getGitHubToken() || '');
     
     // H-Index specific state
     const [hIndexResults, setHIndexResults] = useState(null);
     const [multiHIndexResults, setMultiHIndexResults] = useState([]);
+
+    // Per-term results with their fetched repositories, for the distribution and contributor panels
+    const termResults = useMemo(
+        () => multiHIndexResults.length > 0 ? multiHIndexResults : [hIndexResults].filter(Boolean),
+        [multiHIndexResults, hIndexResults]
+    );
+
+    // Repositories whose star history is plotted ({fullName, loading, history, error})
+    const [starHistories, setStarHistories] = useState([]);
+    // Controllers of the star histories still being fetched, by repository
+    const starHistoryControllersRef = useRef(new Map());
     
     // Trend Tracker specific state
-    const [startYear, setStartYear] = useState(urlParams.startYear || new Date().getFullYear() - 3);
-    const [endYear, setEndYear] = useState(urlParams.endYear || new Date().getFullYear());
+    const [startDate, setStartDate] = useState(urlParams.startDate);
+    const [endDate, setEndDate] = useState(urlParams.endDate);
     const [granularity, setGranularity] = useState(urlParams.granularity || 'year');
+    const [rollingWindow, setRollingWindow] = useState({
+        windowDays: urlParams.windowDays,
+        stepDays: urlParams.stepDays
+    });
+    const [includeCurrent, setIncludeCurrent] = useState(urlParams.includeCurrent);
+    // Baseline that trend counts are divided by ('all', 'term' or empty for raw counts)
+    const [normalizeBy, setNormalizeBy] = useState(urlParams.normalizeBy);
+    const [referenceTerm, setReferenceTerm] = useState(urlParams.referenceTerm);
+    const [shareUnit, setShareUnit] = useState(urlParams.shareUnit);
+    // Fetched baseline series ({label, metric, series}, {label, loading} or {label, error})
+    const [baseline, setBaseline] = useState(null);
     const [metric, setMetric] = useState(urlParams.metric || 'repositories');
     const [chartData, setChartData] = useState(null);
+    const [chartQueries, setChartQueries] = useState({});
+    // Periods averaged by the moving average of the chart and growth summary
+    const [movingAverageWindow, setMovingAverageWindow] = useState(3);
+    // Most aliased searches and estimated cost per trend request; smaller requests are less likely to time out
+    const [searchBudget, setSearchBudget] = useState(trendTrackerService.DEFAULT_SEARCH_BATCH_BUDGET);
+    const updateSearchBudget = (key, value) => setSearchBudget(current => ({
+        ...current,
+        [key]: trendTrackerService.parseSearchBudgetValue(key, value)
+    }));
+    
+    // Trend data as shares of the baseline, once it has been fetched
+    const displayedChartData = useMemo(
+        () => chartData && baseline?.series && baseline.metric === metric
+            ? trendTrackerService.normalizeChartData(chartData, baseline.series, metric, shareUnit)
+            : chartData,
+        [chartData, baseline, metric, shareUnit]
+    );
     
     // Analysis options
     const [showHIndexAnalysis, setShowHIndexAnalysis] = useState(Boolean(urlParams.showHIndexAnalysis) || false);
-    const [showTrendAnalysis, setShowTrendAnalysis] = useState(Boolean(urlParams.showTrendAnalysis) || true);    // Save token to localStorage when it changes
+    const [showTrendAnalysis, setShowTrendAnalysis] = useState(Boolean(urlParams.showTrendAnalysis) || true);
+    
+    // Controller for the running analysis, and pages/repos fetched so far per term
+    const abortControllerRef = useRef(null);
+    const progressCountsRef = useRef({});
+    
+    // Save token to localStorage when it changes
     useEffect(() => {
         // Note: This is no longer needed as the token is managed by authService
         // Keeping it for backward compatibility during transition
@@ -52,62 +118,57 @@ function GitHubHIndexApp() {
         }
     }, [githubToken]);
 
-    // Process a single search term for H-Index
-    const processSearchTermForHIndex = async (term) => {
-        // Fetch and calculate the Star H-Index first (sorted by stars)
-        const starResult = await githubService.fetchAndCalculateHIndex(
-            term, 
-            dateLimit, 
-            'stargazers_count', 
-            'stars',
-            githubToken
-        );
-        
-        // Then fetch and calculate the Fork H-Index (sorted by forks)
-        const forkResult = await githubService.fetchAndCalculateHIndex(
-            term, 
-            dateLimit, 
-            'forks_count', 
-            'forks',
-            githubToken
-        );
+    // Record a finished request of a term and show it as the latest progress
+    const reportProgress = ({ term, index, total, reposFetched = 0 }) => {
+        const counts = progressCountsRef.current[term] || { pages: 0, repos: 0 };
+        progressCountsRef.current[term] = {
+            pages: counts.pages + 1,
+            repos: counts.repos + reposFetched
+        };
+        setSearchProgress({ term, index, total, ...progressCountsRef.current[term] });
+    };
+    
+    // Start a cancellable run and return its abort signal
+    const startRun = () => {
+        setIsLoading(true);
+        setError(null);
+        setSearchProgress(null);
+        progressCountsRef.current = {};
         
-        // Use combined repos from both fetches
-        const allRepos = [...new Map(
-            [...starResult.repos, ...forkResult.repos].map(repo => [repo.id, repo])
-        ).values()];
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
         
-        // Sort for display
-        const topStarredRepos = [...allRepos]
-            .sort((a, b) => b.stargazers_count - a.stargazers_count)
-            .slice(0, 10);
-            
-        const topForkedRepos = [...allRepos]
-            .sort((a, b) => b.forks_count - a.forks_count)
-            .slice(0, 10);
-            
-        // Get additional counts for total repositories, pull requests and discussions
-        const [totalReposCount, totalPRsCount, totalDiscussionsCount] = await Promise.all([
-            githubService.getTotalCount(term, dateLimit, 'repositories', githubToken),
-            githubService.getTotalCount(term, dateLimit, 'pull_requests', githubToken),
-            githubService.getTotalCount(term, dateLimit, 'discussions', githubToken)
-        ]);
+        // Start progress bar
+        if (window.NProgress) window.NProgress.start();
         
-        return {
-            searchTerm: term,
-            dateLimit,
-            starHIndex: starResult.hIndex,
-            forkHIndex: forkResult.hIndex,
-            totalRepos: totalReposCount,
-            analyzedRepos: allRepos.length,
-            totalPRs: totalPRsCount,
-            totalDiscussions: totalDiscussionsCount,
-            topStarredRepos,
-            topForkedRepos,
-            githubToken: !!githubToken // Include token availability flag
-        };
-    };    // Handle form submission
-    const handleSearch = async (terms = searchTerms) => {
+        return controller.signal;
+    };
+    
+    // Reset the loading state once a run has finished or was cancelled
+    const finishRun = () => {
+        abortControllerRef.current = null;
+        cacheService.setCacheBypass(false);
+        setSearchProgress(null);
+        setIsLoading(false);
+        if (window.NProgress) window.NProgress.done();
+    };
+    
+    // Build the result row of a term that failed
+    const toFailedRow = (term, err) => {
+        console.error(`Error processing term "${term}":`, err);
+        return { searchTerm: term, status: getErrorStatus(err), error: err.message };
+    };
+    
+    // Calculate the H-Index and related metrics of a single search term
+    const processSearchTermForHIndex = (term, options = {}) => termAnalysisService.analyzeTerm(
+        term,
+        { dateLimit, globalFilters, includeForks, engagementScore },
+        githubToken,
+        options
+    );
+    
+    // Handle form submission; a refresh ignores cached responses
+    const handleSearch = async (terms = searchTerms, refresh = false) => {
         if (terms.length === 0) {
             setError('Please add at least one search term');
             return;
@@ -118,91 +179,281 @@ function GitHubHIndexApp() {
             setError('GitHub authentication is required for the selected analysis options');
             return;
         }
+        
+        // Check the date range before starting, so an empty or oversized range fetches nothing
+        const timeWindows = trendTrackerService.generateTimeWindows(
+            startDate,
+            endDate,
+            granularity,
+            rollingWindow,
+            includeCurrent
+        );
+        const rangeError = trendTrackerService.validateTimeWindows(timeWindows);
+        if (showTrendAnalysis && rangeError) {
+            setError(rangeError);
+            return;
+        }
+        if (showTrendAnalysis && normalizeBy === 'term' && !referenceTerm.trim()) {
+            setError('Please enter a reference term to normalize the trends by');
+            return;
+        }
     
         setSearchTerms(terms);
-        setIsLoading(true);
-        setError(null);
-    
-        // Start progress bar
-        if (window.NProgress) window.NProgress.start();
+        const signal = startRun();
+        
+        // Request options for one term, reporting its progress
+        const getTermOptions = (term, index) => ({
+            signal,
+            onProgress: update => reportProgress({ term, index, total: terms.length, ...update })
+        });
     
         // Update URL with search parameters
         urlSharingUtils.updateSearchUrl(
-            searchTerms.join(';'),
+            terms.join(';'),
             dateLimit,
-            startYear,
-            endYear,
+            startDate,
+            endDate,
             granularity,
             metric,
             showHIndexAnalysis,
-            showTrendAnalysis
+            showTrendAnalysis,
+            globalFilters,
+            includeForks,
+            engagementScore,
+            rollingWindow,
+            includeCurrent,
+            { normalizeBy, referenceTerm, shareUnit }
         );
         
         // Log search event for analytics
         analyticsService.logSearch({
             searchTerms: terms,
             dateLimit,
-            startYear,
-            endYear,
+            startDate,
+            endDate,
             granularity,
             metric,
             showHIndexAnalysis,
             showTrendAnalysis
         });
         
+        cacheService.setCacheBypass(refresh);
+        
         try {
             // Perform H-Index calculation if enabled
             if (showHIndexAnalysis) {
                 if (terms.length > 1) {
-                    // Handle multiple search terms
-                    const results = [];
-                    
-                    for (const term of terms) {
-                        try {
-                            const result = await processSearchTermForHIndex(term);
-                            results.push(result);
-                        } catch (err) {
-                            console.error(`Error processing term "${term}":`, err);
-                            // Continue with other terms even if one fails
-                        }                    }
+                    // Handle multiple search terms, several at a time; each row shows up as soon as it is done
+                    // Failed terms keep a row with the reason, so they can be retried
+                    const toRow = (outcome, index) => outcome.status === 'fulfilled'
+                        ? outcome.value
+                        : toFailedRow(terms[index], outcome.reason);
                     
-                    setMultiHIndexResults(results);
+                    setMultiHIndexResults(terms.map(term => ({ searchTerm: term, loading: true })));
                     setHIndexResults(null); // Clear single result when showing multiple
+                    
+                    const outcomes = await runConcurrently(
+                        terms,
+                        (term, index) => processSearchTermForHIndex(term, getTermOptions(term, index)),
+                        {
+                            signal,
+                            onSettled: (outcome, index) => setMultiHIndexResults(rows => rows.map(
+                                (row, rowIndex) => rowIndex === index ? toRow(outcome, index) : row
+                            ))
+                        }
+                    );
+                    
+                    // Drop the rows of terms that were cancelled before they finished
+                    setMultiHIndexResults(outcomes
+                        .map((outcome, index) => outcome && toRow(outcome, index))
+                        .filter(row => row));
                 } else {
-                    // Handle single search term
-                    const result = await processSearchTermForHIndex(terms[0]);
-                    setHIndexResults(result);
-                    setMultiHIndexResults([]); // Clear multiple results when showing single
+                    // Handle single search term; a failure gets a row like in the comparison, so it can be retried
+                    try {
+                        const result = await processSearchTermForHIndex(terms[0], getTermOptions(terms[0], 0));
+                        setHIndexResults(result);
+                        setMultiHIndexResults([]); // Clear multiple results when showing single
+                    } catch (err) {
+                        if (signal.aborted) throw err;
+                        setHIndexResults(null);
+                        setMultiHIndexResults([toFailedRow(terms[0], err)]);
+                    }
                 }
             }
             
             // Perform trend analysis if enabled
-            if (showTrendAnalysis && githubToken) {
+            if (showTrendAnalysis && githubToken && !signal.aborted) {
+                // Chart each term as soon as its series is in
+                setChartData(Object.fromEntries(terms.map(term => [term, { loading: true }])));
+                setChartQueries(Object.fromEntries(
+                    terms.map(term => [term, applyGlobalFilters(term, globalFilters)])
+                ));
+                
+                // Fetch regular metric data, and the baseline alongside it
+                const [data] = await Promise.all([
+                    trendTrackerService.compareSearchTerms(
+                        terms,
+                        timeWindows,
+                        metric,
+                        githubToken,
+                        globalFilters,
+                        {
+                            signal,
+                            budget: searchBudget,
+                            onProgress: reportProgress,
+                            onTermResult: (term, termData) => setChartData(current => ({ ...current, [term]: termData }))
+                        }
+                    ),
+                    loadBaseline(timeWindows, signal)
+                ]);
+                
+                // A cancelled comparison only contains the terms that finished
+                setChartData(Object.keys(data).length > 0 ? data : null);
+            }
+        } catch (err) {
+            // Cancelling isn't an error; earlier results stay on screen
+            if (!signal.aborted) {
+                // Log error to analytics
+                analyticsService.logError('search_error', err.message);
+                setError(err.message);
+            }
+        } finally {
+            finishRun();
+        }
+    };
+    
+    // Fetch the baseline of a normalized trend; a failed baseline leaves the raw counts on the chart
+    const loadBaseline = async (timeWindows, signal) => {
+        if (!normalizeBy || !trendTrackerService.isNormalizableMetric(metric)) {
+            setBaseline(null);
+            return;
+        }
+        
+        const reference = normalizeBy === 'term' ? referenceTerm.trim() : '';
+        const label = reference ? `"${reference}"` : `all ${trendTrackerService.getMetricLabel(metric).toLowerCase()}`;
+        setBaseline({ label, loading: true });
+        
+        try {
+            const series = await trendTrackerService.fetchBaselineSeries(
+                reference,
+                timeWindows,
+                metric,
+                githubToken,
+                globalFilters,
+                { signal, budget: searchBudget }
+            );
+            setBaseline({ label, metric, series });
+        } catch (err) {
+            setBaseline(signal.aborted ? null : { label, error: err.message, status: getErrorStatus(err) });
+        }
+    };
+    
+    // Re-run one part of a single term ('hIndex' or 'trend') after it failed, keeping every other
+    // result; the part that loaded fine isn't fetched again
+    const handleRetryTerm = async (term, part) => {
+        const index = searchTerms.indexOf(term);
+        const signal = startRun();
+        const options = {
+            signal,
+            onProgress: update => reportProgress({ ...update, term, index, total: searchTerms.length })
+        };
+        
+        const previousRow = multiHIndexResults.find(row => row.searchTerm === term);
+        const previousSeries = chartData?.[term];
+        
+        try {
+            if (part === 'hIndex' && showHIndexAnalysis && previousRow) {
+                setMultiHIndexResults(rows => rows.map(
+                    row => row.searchTerm === term ? { searchTerm: term, loading: true } : row
+                ));
+                
+                let row;
+                try {
+                    row = await processSearchTermForHIndex(term, options);
+                } catch (err) {
+                    row = signal.aborted ? previousRow : toFailedRow(term, err);
+                }
+                
+                // A single term that now succeeds gets its full report back
+                if (searchTerms.length === 1 && !row.error) {
+                    setHIndexResults(row);
+                    setMultiHIndexResults([]);
+                } else {
+                    setMultiHIndexResults(rows => rows.map(current => current.searchTerm === term ? row : current));
+                }
+            }
+            
+            if (part === 'trend' && showTrendAnalysis && previousSeries && !signal.aborted) {
                 const timeWindows = trendTrackerService.generateTimeWindows(
-                    startYear, 
-                    endYear, 
-                    granularity
+                    startDate,
+                    endDate,
+                    granularity,
+                    rollingWindow,
+                    includeCurrent
                 );
+                setChartData(current => ({ ...current, [term]: { loading: true } }));
                 
-                // Fetch regular metric data
                 const data = await trendTrackerService.compareSearchTerms(
-                    terms,
+                    [term],
                     timeWindows,
                     metric,
-                    githubToken
+                    githubToken,
+                    globalFilters,
+                    { ...options, budget: searchBudget }
                 );
                 
-                setChartData(data);
+                setChartData(current => ({ ...current, [term]: data[term] || previousSeries }));
             }
-        } catch (err) {
-            // Log error to analytics
-            analyticsService.logError('search_error', err.message);
-            setError(err.message);
         } finally {
-            setIsLoading(false);
-            if (window.NProgress) window.NProgress.done();
+            finishRun();
+        }
+    };
+
+    // Add a repository's star history to the chart, replacing the oldest one when it is full
+    const handleShowStarHistory = async (fullName) => {
+        if (starHistories.some(entry => entry.fullName === fullName)) return;
+        
+        // A repository shown again starts over, and the one that makes room stops fetching
+        abortStarHistory(fullName);
+        const overflow = starHistories.length + 1 - starHistoryService.MAX_STAR_HISTORY_REPOS;
+        starHistories.slice(0, Math.max(overflow, 0)).forEach(entry => abortStarHistory(entry.fullName));
+        
+        const controller = new AbortController();
+        starHistoryControllersRef.current.set(fullName, controller);
+        setStarHistories(entries => [...entries, { fullName, loading: true }].slice(-starHistoryService.MAX_STAR_HISTORY_REPOS));
+        
+        let entry;
+        try {
+            const history = await starHistoryService.fetchStarHistory(fullName, githubToken, { signal: controller.signal });
+            entry = { fullName, history };
+        } catch (err) {
+            if (controller.signal.aborted) return;
+            console.error('Error fetching star history:', err);
+            analyticsService.logError('star_history_error', err.message);
+            entry = { fullName, error: err.message };
         }
+        
+        if (controller.signal.aborted) return;
+        starHistoryControllersRef.current.delete(fullName);
+        setStarHistories(entries => entries.map(current => current.fullName === fullName ? entry : current));
+    };
+    
+    // Stop fetching a star history, e.g. once it is removed from the chart
+    const abortStarHistory = (fullName) => {
+        starHistoryControllersRef.current.get(fullName)?.abort();
+        starHistoryControllersRef.current.delete(fullName);
+    };
+    
+    const handleRemoveStarHistory = (fullName) => {
+        abortStarHistory(fullName);
+        setStarHistories(entries => entries.filter(entry => entry.fullName !== fullName));
     };
+    
+    // Star histories still being fetched stop when the app goes away
+    useEffect(() => {
+        const controllers = starHistoryControllersRef.current;
+        return () => controllers.forEach(controller => controller.abort());
+    }, []);
 
     return (
         <div className="max-w-4xl mx-auto">
@@ -213,6 +464,7 @@ function GitHubHIndexApp() {
             {/* Token Input */}
               <div className="bg-white p-6 rounded-lg shadow-md mb-6">
                 <TokenInput githubToken={githubToken} setGithubToken={setGithubToken} />
+                <CacheSettings />
             </div>
             
             {/* Token warning for trend analysis */}
@@ -236,6 +488,41 @@ function GitHubHIndexApp() {
                         isLoading={isLoading}
                     />
                 </div>
+                
+                {/* Global filters appended to every term */}
+                <h3 className="font-bold mb-2">Global Filters</h3>
+                <div className="mb-4">
+                    <div className="flex">
+                        <input
+                            type="text"
+                            className="flex-grow p-2 border rounded"
+                            placeholder="e.g. fork:false stars:>5"
+                            value={globalFilters}
+                            onChange={(e) => setGlobalFilters(e.target.value)}
+                        />
+                        <button
+                            type="button"
+                            className="ml-2 px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded"
+                            onClick={() => setShowFilterBuilder(!showFilterBuilder)}
+                        >
+                            ⚙ Builder
+                        </button>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                        Applied to every search term. A qualifier set on a term (e.g. language:go) replaces the global one with the same name.
+                    </p>
+                    {showFilterBuilder && (
+                        <QualifierBuilder
+                            term={globalFilters}
+                            showText={false}
+                            onApply={(value) => {
+                                setGlobalFilters(value);
+                                setShowFilterBuilder(false);
+                            }}
+                            onCancel={() => setShowFilterBuilder(false)}
+                        />
+                    )}
+                </div>
                 {/* Analysis Options */}
                 <div className="mb-4">
                     <h3 className="font-bold mb-2">Trends Analysis</h3>
@@ -257,32 +544,28 @@ function GitHubHIndexApp() {
                 {showTrendAnalysis && (
                     <div className="bg-gray-50 p-4 rounded mb-4">
                         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
-                            {/* Start Year */}
+                            {/* Start Date */}
                             <div>
-                                <label className="block text-gray-700 mb-2">Start Year</label>
-                                <select
+                                <label className="block text-gray-700 mb-2">From</label>
+                                <input
+                                    type="date"
                                     className="w-full p-2 border rounded"
-                                    value={startYear}
-                                    onChange={(e) => setStartYear(e.target.value)}
-                                >
-                                    {Array.from({ length: 15 }, (_, i) => new Date().getFullYear() - 14 + i).map(year => (
-                                        <option key={`start-${year}`} value={year}>{year}</option>
-                                    ))}
-                                </select>
+                                    value={startDate}
+                                    max={endDate}
+                                    onChange={(e) => setStartDate(e.target.value)}
+                                />
                             </div>
                             
-                            {/* End Year */}
+                            {/* End Date */}
                             <div>
-                                <label className="block text-gray-700 mb-2">End Year</label>
-                                <select
+                                <label className="block text-gray-700 mb-2">To</label>
+                                <input
+                                    type="date"
                                     className="w-full p-2 border rounded"
-                                    value={endYear}
-                                    onChange={(e) => setEndYear(e.target.value)}
-                                >
-                                    {Array.from({ length: 15 }, (_, i) => new Date().getFullYear() - 14 + i).map(year => (
-                                        <option key={`end-${year}`} value={year}>{year}</option>
-                                    ))}
-                                </select>
+                                    value={endDate}
+                                    min={startDate}
+                                    onChange={(e) => setEndDate(e.target.value)}
+                                />
                             </div>
                             
                             {/* Granularity */}
@@ -296,10 +579,83 @@ function GitHubHIndexApp() {
                                     <option value="year">Yearly</option>
                                     <option value="quarter">Quarterly</option>
                                     <option value="month">Monthly</option>
+                                    <option value="week">Weekly</option>
+                                    <option value="day">Daily</option>
+                                    <option value="rolling">Rolling Window</option>
                                 </select>
                             </div>
                         </div>
                         
+                        {/* Rolling window size and step */}
+                        {granularity === 'rolling' && (
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label className="block text-gray-700 mb-2">Window (days)</label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        className="w-full p-2 border rounded"
+                                        value={rollingWindow.windowDays}
+                                        onChange={(e) => setRollingWindow(current => ({ ...current, windowDays: e.target.value }))}
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-gray-700 mb-2">Step (days)</label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        className="w-full p-2 border rounded"
+                                        value={rollingWindow.stepDays}
+                                        onChange={(e) => setRollingWindow(current => ({ ...current, stepDays: e.target.value }))}
+                                    />
+                                </div>
+                            </div>
+                        )}
+                        
+                        {/* Period in progress */}
+                        <div className="flex items-center mb-4">
+                            <input
+                                type="checkbox"
+                                id="includeCurrent"
+                                className="mr-2"
+                                checked={includeCurrent}
+                                onChange={(e) => setIncludeCurrent(e.target.checked)}
+                            />
+                            <label htmlFor="includeCurrent">Include the current, incomplete period (with a projection)</label>
+                        </div>
+                        
+                        {/* Request budget */}
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-1">
+                            <div>
+                                <label className="block text-gray-700 mb-2" htmlFor="searchBatchSize">Searches per Request</label>
+                                <input
+                                    id="searchBatchSize"
+                                    type="number"
+                                    min="1"
+                                    max={trendTrackerService.SEARCH_BATCH_LIMITS.maxNodes}
+                                    className="w-full p-2 border rounded"
+                                    value={searchBudget.maxNodes}
+                                    onChange={(e) => updateSearchBudget('maxNodes', e.target.value)}
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-gray-700 mb-2" htmlFor="searchBatchCost">Query Cost per Request</label>
+                                <input
+                                    id="searchBatchCost"
+                                    type="number"
+                                    min="1"
+                                    max={trendTrackerService.SEARCH_BATCH_LIMITS.maxCost}
+                                    className="w-full p-2 border rounded"
+                                    value={searchBudget.maxCost}
+                                    onChange={(e) => updateSearchBudget('maxCost', e.target.value)}
+                                />
+                            </div>
+                        </div>
+                        <p className="mb-4 text-sm text-gray-600">
+                            Periods are counted in batches that stay within both limits; a count costs one point.
+                            Lower them if GitHub times out on long ranges.
+                        </p>
+                        
                         {/* Metric selection */}
                         <div className="mb-4">
                             <label className="block text-gray-700 mb-2">Metric</label>
@@ -309,10 +665,63 @@ function GitHubHIndexApp() {
                                 onChange={(e) => setMetric(e.target.value)}
                             >
                                 <option value="repositories">Repository Count</option>
+                                <option value="stars">Total Stars</option>
+                                <option value="medianStars">Median Stars</option>
+                                <option value="forks">Total Forks</option>
+                                <option value="medianForks">Median Forks</option>
+                                <option value="starHIndex">Star H-Index per Period</option>
+                                <option value="forkHIndex">Fork H-Index per Period</option>
                                 <option value="prs">Pull Request Count</option>
                                 <option value="issues">Issue Count</option>
                             </select>
                         </div>
+                        
+                        {/* Normalization by a baseline */}
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <div>
+                                <label className="block text-gray-700 mb-2">Normalize By</label>
+                                <select
+                                    className="w-full p-2 border rounded"
+                                    value={normalizeBy}
+                                    onChange={(e) => setNormalizeBy(e.target.value)}
+                                    disabled={!trendTrackerService.isNormalizableMetric(metric)}
+                                >
+                                    <option value="">Nothing (raw counts)</option>
+                                    <option value="all">All of GitHub in the period</option>
+                                    <option value="term">A reference term</option>
+                                </select>
+                            </div>
+                            {normalizeBy === 'term' && (
+                                <div>
+                                    <label className="block text-gray-700 mb-2">Reference Term</label>
+                                    <input
+                                        type="text"
+                                        className="w-full p-2 border rounded"
+                                        placeholder="e.g. language:javascript"
+                                        value={referenceTerm}
+                                        onChange={(e) => setReferenceTerm(e.target.value)}
+                                    />
+                                </div>
+                            )}
+                            {normalizeBy && (
+                                <div>
+                                    <label className="block text-gray-700 mb-2">Unit</label>
+                                    <select
+                                        className="w-full p-2 border rounded"
+                                        value={shareUnit}
+                                        onChange={(e) => setShareUnit(e.target.value)}
+                                    >
+                                        <option value="percent">Percent</option>
+                                        <option value="per10k">Per 10k</option>
+                                    </select>
+                                </div>
+                            )}
+                        </div>
+                        {!trendTrackerService.isNormalizableMetric(metric) && (
+                            <p className="mt-2 text-sm text-gray-600">
+                                Only repository, pull request and issue counts can be normalized.
+                            </p>
+                        )}
                     </div>
                 )}
 
@@ -348,10 +757,46 @@ function GitHubHIndexApp() {
                         onChange={(e) => setDateLimit(e.target.value)}
                     />
                 </div>
+                <div className="flex items-center">
+                    <input
+                        type="checkbox"
+                        id="includeForks"
+                        className="mr-2"
+                        checked={includeForks}
+                        onChange={(e) => setIncludeForks(e.target.checked)}
+                    />
+                    <label htmlFor="includeForks">Include forked repositories for user:/org: terms</label>
+                </div>
+                <div className="mt-4">
+                    <label className="block text-gray-700 mb-2" htmlFor="engagementScore">
+                        Issue, PR and Discussion H-Index
+                    </label>
+                    <select
+                        id="engagementScore"
+                        className="w-full p-2 border rounded"
+                        value={engagementScore}
+                        onChange={(e) => setEngagementScore(e.target.value)}
+                    >
+                        <option value="">Don't calculate</option>
+                        <option value="reactions">Score issues and PRs by reactions</option>
+                        <option value="comments">Score issues and PRs by comments</option>
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">
+                        Discussions are always scored by upvotes.
+                    </p>
+                </div>
                 </div>
                 )}
             </div>
             </fieldset>            
+            {/* Progress of the running analysis, outside the disabled fieldset so it can be cancelled */}
+            {isLoading && (
+                <SearchProgress
+                    progress={searchProgress}
+                    onCancel={() => abortControllerRef.current?.abort()}
+                />
+            )}
+            
             {/* Error display */}
             <ErrorDisplay error={error} />
             
@@ -363,15 +808,37 @@ function GitHubHIndexApp() {
                     
                     {/* Use the TrendChart component */}
                     <TrendChart 
-                        chartData={chartData} 
+                        chartData={displayedChartData} 
                         metric={metric} 
+                        shareUnit={displayedChartData !== chartData ? shareUnit : undefined}
+                        movingAverageWindow={movingAverageWindow}
+                    />
+                    
+                    {/* Growth rates and momentum of each term */}
+                    <GrowthSummary
+                        chartData={displayedChartData}
+                        metric={metric}
+                        shareUnit={displayedChartData !== chartData ? shareUnit : undefined}
+                        movingAverageWindow={movingAverageWindow}
+                        onMovingAverageWindowChange={setMovingAverageWindow}
                     />
                     
                     {/* Trend comparison table */}
+                    {baseline?.error && (
+                        <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+                            <span>Baseline {baseline.label} couldn't be fetched, so the chart shows raw counts:</span>
+                            <TermStatus status={baseline.status} error={baseline.error} />
+                        </div>
+                    )}
+                    
                     <TrendComparisonView
-                        chartData={chartData}
+                        baseline={displayedChartData !== chartData ? { label: baseline.label, shareUnit } : null}
+                        chartData={displayedChartData}
                         metric={metric}
-                        useWindowedHIndex={false}
+                        useWindowedHIndex={trendTrackerService.isWindowedHIndexMetric(metric)}
+                        effectiveQueries={chartQueries}
+                        onRetry={term => handleRetryTerm(term, 'trend')}
+                        isLoading={isLoading}
                     />
                 </div>
             )}
@@ -380,24 +847,54 @@ function GitHubHIndexApp() {
             {showHIndexAnalysis && (
                 <>
                     {multiHIndexResults.length > 0 ? (
-                        <MultiSearchResults multiResults={multiHIndexResults} />
+                        <MultiSearchResults
+                            multiResults={multiHIndexResults}
+                            onRetry={term => handleRetryTerm(term, 'hIndex')}
+                            isLoading={isLoading}
+                            onShowStarHistory={handleShowStarHistory}
+                        />
                     ) : (
-                        <ResultsDisplay results={hIndexResults} />
+                        <ResultsDisplay results={hIndexResults} onShowStarHistory={handleShowStarHistory} />
+                    )}
+                    <StarHistory entries={starHistories} onRemove={handleRemoveStarHistory} />
+                    <DistributionView results={termResults} />
+                    {multiHIndexResults.length > 0 ? (
+                        <LanguageComparison results={termResults} />
+                    ) : hIndexResults?.repos && (
+                        <LanguageBreakdown repos={hIndexResults.repos} searchTerm={hIndexResults.searchTerm} />
                     )}
+                    <ContributorAnalysis results={termResults} githubToken={githubToken} />
                 </>
             )}
             
             {/* Share Button for both functionalities */}
             {(showHIndexAnalysis && (hIndexResults || multiHIndexResults.length > 0)) || 
              (showTrendAnalysis && chartData) ? (
-                <div className="flex justify-center my-6">
+                <div className="flex justify-center items-center gap-4 my-6">
+                    <button
+                        type="button"
+                        onClick={() => handleSearch(searchTerms, true)}
+                        disabled={isLoading}
+                        className="px-5 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-md transition-colors duration-200"
+                        title="Re-run the analysis without using cached GitHub responses"
+                    >
+                        Refresh Data
+                    </button>
                     <ShareButton 
                         settings={{
                             searchTerm: searchTerms.join(';'),
+                            globalFilters,
+                            includeForks,
+                            engagementScore,
                             dateLimit,
-                            startYear,
-                            endYear,
+                            startDate,
+                            endDate,
                             granularity,
+                            ...(granularity === 'rolling' ? rollingWindow : {}),
+                            includeCurrent,
+                            normalizeBy,
+                            referenceTerm,
+                            shareUnit,
                             metric,
                             showHIndexAnalysis,
                             showTrendAnalysis
@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import * as cacheService from '../services/cacheService';
+
+/**
+ * CacheSettings component - Shows the size of the response cache, lets users
+ * configure how long responses are kept and clear the cache
+ */
+function CacheSettings() {
+    const [stats, setStats] = useState({ entries: 0, bytes: 0 });
+    const [settings, setSettings] = useState(cacheService.getCacheSettings());
+    const [isOpen, setIsOpen] = useState(false);
+
+    // Refresh the stats whenever the panel is opened
+    useEffect(() => {
+        if (isOpen) {
+            cacheService.getCacheStats().then(setStats);
+        }
+    }, [isOpen]);
+
+    // Update a single TTL setting and persist it
+    const updateSetting = (key, value) => {
+        const newSettings = { ...settings, [key]: value };
+        setSettings(newSettings);
+        cacheService.saveCacheSettings(newSettings);
+    };
+
+    const handleClear = async () => {
+        await cacheService.clearCache();
+        setStats(await cacheService.getCacheStats());
+    };
+
+    return (
+        <details
+            className="mt-4 text-sm text-gray-700"
+            open={isOpen}
+            onToggle={(e) => setIsOpen(e.target.open)}
+        >
+            <summary className="cursor-pointer text-gray-500">Cache settings</summary>
+            <div className="mt-2 p-4 bg-gray-50 rounded">
+                <p className="mb-3">
+                    {stats.entries} cached responses ({(stats.bytes / 1024).toFixed(1)} KB)
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-3">
+                    <div>
+                        <label className="block text-gray-700 mb-1" htmlFor="closedWindowTtl">
+                            Counts of historical periods
+                        </label>
+                        <select
+                            id="closedWindowTtl"
+                            className="w-full p-2 border rounded"
+                            value={settings.closedWindowTtl === null ? 'forever' : settings.closedWindowTtl}
+                            onChange={(e) => updateSetting(
+                                'closedWindowTtl',
+                                e.target.value === 'forever' ? null : parseInt(e.target.value)
+                            )}
+                        >
+                            <option value="forever">Keep forever</option>
+                            <option value={60 * 24 * 7}>1 week</option>
+                            <option value={60 * 24}>1 day</option>
+                            <option value={0}>Don't cache</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-gray-700 mb-1" htmlFor="openWindowTtl">
+                            Open periods (minutes)
+                        </label>
+                        <input
+                            id="openWindowTtl"
+                            type="number"
+                            min="0"
+                            className="w-full p-2 border rounded"
+                            value={settings.openWindowTtl}
+                            onChange={(e) => updateSetting('openWindowTtl', Math.max(parseInt(e.target.value) || 0, 0))}
+                        />
+                    </div>
+                </div>
+                <button
+                    type="button"
+                    onClick={handleClear}
+                    className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded"
+                >
+                    Clear cache
+                </button>
+            </div>
+        </details>
+    );
+}
+
+export default CacheSettings;
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatNumber, getTopRepos } from '../utils';
+import * as contributorService from '../services/contributorService';
+
+/**
+ * ContributorAnalysis component - Contributors, bus factor and contributor overlap for the top repositories of each term
+ */
+function ContributorAnalysis({ results, githubToken }) {
+    const [topCount, setTopCount] = useState(10);
+    const [analysis, setAnalysis] = useState(null);
+    const [isAnalyzing, setIsAnalyzing] = useState(false);
+    const [error, setError] = useState(null);
+    const abortControllerRef = useRef(null);
+
+    // Stop any running analysis when the panel goes away
+    useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+    const termResults = (results || []).filter(result => result.repos && result.repos.length > 0);
+    if (termResults.length === 0) return null;
+
+    // Results of an earlier search aren't shown for a new one
+    const current = analysis && analysis.results === results ? analysis : null;
+
+    const handleAnalyze = async () => {
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        setIsAnalyzing(true);
+        setError(null);
+
+        try {
+            const terms = {};
+            for (const result of termResults) {
+                terms[result.searchTerm] = await contributorService.analyzeContributors(
+                    getTopRepos(result.repos, 'stargazers_count', topCount),
+                    githubToken,
+                    { signal: controller.signal }
+                );
+            }
+            setAnalysis({ results, terms });
+        } catch (err) {
+            if (!controller.signal.aborted) {
+                setError(err.message);
+            }
+        } finally {
+            setIsAnalyzing(false);
+        }
+    };
+
+    const termNames = current ? Object.keys(current.terms) : [];
+
+    // Every pair of analyzed terms
+    const pairs = termNames.flatMap((termA, index) =>
+        termNames.slice(index + 1).map(termB => ({
+            termA,
+            termB,
+            ...contributorService.calculateContributorOverlap(current.terms[termA].logins, current.terms[termB].logins)
+        }))
+    );
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+            <h2 className="text-2xl font-bold mb-4">Contributors</h2>
+            <p className="mb-4 text-sm text-gray-600">
+                Fetches the contributors and last year's commits of the most starred repositories of each term,
+                to show whether a topic is driven by a broad community or by a handful of people.
+                The bus factor is the smallest number of contributors who made half of a repository's commits;
+                for repositories with more contributors than were fetched it is a lower bound (≥).
+            </p>
+
+            <div className="flex flex-wrap items-center gap-4 mb-4">
+                <label className="flex items-center">
+                    <span className="mr-2">Top repositories per term</span>
+                    <select
+                        className="p-2 border rounded"
+                        value={topCount}
+                        onChange={(e) => setTopCount(parseInt(e.target.value))}
+                        disabled={isAnalyzing}
+                    >
+                        <option value={5}>5</option>
+                        <option value={10}>10</option>
+                        <option value={20}>20</option>
+                    </select>
+                </label>
+                <button
+                    type="button"
+                    className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded disabled:opacity-50"
+                    onClick={handleAnalyze}
+                    disabled={isAnalyzing}
+                >
+                    {isAnalyzing ? 'Analyzing…' : 'Analyze Contributors'}
+                </button>
+            </div>
+
+            {error && <p className="mb-4 text-red-600">{error}</p>}
+
+            {termNames.map(term => {
+                const termAnalysis = current.terms[term];
+                // Lower bounds could be higher, so only exact bus factors count as low
+                const busFactors = termAnalysis.repos
+                    .filter(repo => !repo.error && repo.busFactorExact && repo.busFactor > 0)
+                    .map(repo => repo.busFactor);
+
+                return (
+                    <div key={term} className="mb-6">
+                        <h3 className="text-xl font-bold mb-2">{term}</h3>
+                        <p className="mb-2 text-sm">
+                            {formatNumber(termAnalysis.logins.length)} unique contributors across {termAnalysis.repos.length} repositories;
+                            {' '}{busFactors.filter(busFactor => busFactor <= 2).length} of them have a bus factor of 2 or less.
+                        </p>
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full bg-white border border-gray-300 text-sm">
+                                <thead className="bg-gray-50 border-b text-left">
+                                    <tr>
+                                        <th className="px-4 py-2">Repository</th>
+                                        <th className="px-4 py-2 text-center">Contributors</th>
+                                        <th className="px-4 py-2 text-center">Bus Factor</th>
+                                        <th className="px-4 py-2 text-center">Commits (last year)</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {termAnalysis.repos.map(repo => (
+                                        <tr key={repo.fullName} className="border-b">
+                                            <td className="px-4 py-2">
+                                                <a
+                                                    href={repo.url}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    className="text-blue-600 hover:underline"
+                                                >
+                                                    {repo.fullName}
+                                                </a>
+                                            </td>
+                                            {repo.error ? (
+                                                <td colSpan="3" className="px-4 py-2 text-red-600">{repo.error}</td>
+                                            ) : (
+                                                <>
+                                                    <td className="px-4 py-2 text-center">
+                                                        {formatNumber(repo.contributorCount)}{repo.truncated ? '+' : ''}
+                                                    </td>
+                                                    <td
+                                                        className={`px-4 py-2 text-center ${repo.busFactorExact && repo.busFactor <= 2 ? 'text-red-600 font-semibold' : ''}`}
+                                                        title={repo.busFactorExact ? undefined : 'Lower bound: only the most active contributors were fetched'}
+                                                    >
+                                                        {repo.busFactorExact ? '' : '≥ '}{repo.busFactor}
+                                                    </td>
+                                                    <td className="px-4 py-2 text-center">
+                                                        {repo.commitsLastYear === null ? 'Not ready' : formatNumber(repo.commitsLastYear)}
+                                                    </td>
+                                                </>
+                                            )}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                );
+            })}
+
+            {pairs.length > 0 && (
+                <div>
+                    <h3 className="text-xl font-bold mb-2">Contributor Overlap</h3>
+                    <table className="min-w-full bg-white border border-gray-300 text-sm">
+                        <thead className="bg-gray-50 border-b text-left">
+                            <tr>
+                                <th className="px-4 py-2">Terms</th>
+                                <th className="px-4 py-2 text-center">Shared Contributors</th>
+                                <th className="px-4 py-2 text-center">Overlap (Jaccard)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {pairs.map(pair => (
+                                <tr key={`${pair.termA}|${pair.termB}`} className="border-b">
+                                    <td className="px-4 py-2">{pair.termA} ↔ {pair.termB}</td>
+                                    <td className="px-4 py-2 text-center">{formatNumber(pair.shared)}</td>
+                                    <td className="px-4 py-2 text-center">{(pair.jaccard * 100).toFixed(1)}%</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ContributorAnalysis;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { formatNumber } from '../utils';
+import { summarizeDistribution } from '../utils/distribution';
+import { loadChartJs } from '../utils/chartLoader';
+
+/**
+ * DistributionView component - Shows how stars or forks are spread across the repositories fetched for a term.
+ * The H-Index stops fetching once it is known, so for most terms this covers only the top repositories.
+ */
+function DistributionView({ results }) {
+    const [selectedTerm, setSelectedTerm] = useState(null);
+    const [property, setProperty] = useState('stargazers_count');
+    const chartContainerRef = useRef(null);
+    const chartRef = useRef(null);
+
+    const termResults = (results || []).filter(result => result.repos && result.repos.length > 0);
+    const current = termResults.find(result => result.searchTerm === selectedTerm) || termResults[0];
+    const summary = useMemo(
+        () => current ? summarizeDistribution(current.repos, property) : null,
+        [current, property]
+    );
+    const unit = property === 'stargazers_count' ? 'stars' : 'forks';
+
+    // Render the histogram using Chart.js
+    useEffect(() => {
+        if (!summary) return;
+
+        let cancelled = false;
+        loadChartJs()
+            .then(Chart => {
+                if (cancelled || !chartContainerRef.current) return;
+
+                // Clear any existing chart
+                chartRef.current?.destroy();
+                chartContainerRef.current.innerHTML = '';
+                const canvas = document.createElement('canvas');
+                chartContainerRef.current.appendChild(canvas);
+
+                chartRef.current = new Chart(canvas.getContext('2d'), {
+                    type: 'bar',
+                    data: {
+                        labels: summary.histogram.map(bin => bin.label),
+                        datasets: [{
+                            label: 'Repositories',
+                            data: summary.histogram.map(bin => bin.count),
+                            backgroundColor: property === 'stargazers_count' ? '#36A2EB' : '#4BC0C0'
+                        }]
+                    },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        plugins: {
+                            legend: { display: false }
+                        },
+                        scales: {
+                            y: {
+                                beginAtZero: true,
+                                title: { display: true, text: 'Repositories' }
+                            },
+                            x: {
+                                title: { display: true, text: `${unit.charAt(0).toUpperCase() + unit.slice(1)} (log bins)` }
+                            }
+                        }
+                    }
+                });
+            })
+            .catch(error => console.error('Error loading Chart.js:', error));
+
+        return () => {
+            cancelled = true;
+            chartRef.current?.destroy();
+            chartRef.current = null;
+        };
+    }, [summary, property, unit]);
+
+    if (!current) return null;
+
+    // Every repository of the search was fetched only when the search is smaller than the H-Index needed
+    const isComplete = current.totalRepos > 0 && current.repos.length >= current.totalRepos;
+    const totalLabel = current.totalRepos > 0 ? ` of ${formatNumber(current.totalRepos)}` : '';
+    const formatShare = share => `${(share * 100).toFixed(1)}%`;
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md mt-6 mb-6">
+            <h2 className="text-2xl font-bold mb-4">
+                {isComplete
+                    ? 'Distribution'
+                    : `Distribution of the Top ${formatNumber(current.repos.length)} Repositories`}
+            </h2>
+
+            <div className="flex flex-wrap gap-4 mb-4">
+                {termResults.length > 1 && (
+                    <select
+                        className="p-2 border rounded"
+                        value={current.searchTerm}
+                        onChange={(e) => setSelectedTerm(e.target.value)}
+                    >
+                        {termResults.map(result => (
+                            <option key={result.searchTerm} value={result.searchTerm}>{result.searchTerm}</option>
+                        ))}
+                    </select>
+                )}
+                <select
+                    className="p-2 border rounded"
+                    value={property}
+                    onChange={(e) => setProperty(e.target.value)}
+                >
+                    <option value="stargazers_count">Stars</option>
+                    <option value="forks_count">Forks</option>
+                </select>
+            </div>
+
+            <div
+                ref={chartContainerRef}
+                className="bg-white p-4 rounded border h-72 w-full mb-4"
+            />
+
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm">
+                <div>
+                    <p className="text-gray-600">Median (p50)</p>
+                    <p className="text-lg font-semibold">{formatNumber(summary.p50)} {unit}</p>
+                </div>
+                <div>
+                    <p className="text-gray-600">p90</p>
+                    <p className="text-lg font-semibold">{formatNumber(summary.p90)} {unit}</p>
+                </div>
+                <div>
+                    <p className="text-gray-600">p99</p>
+                    <p className="text-lg font-semibold">{formatNumber(summary.p99)} {unit}</p>
+                </div>
+                <div>
+                    <p className="text-gray-600">Gini coefficient</p>
+                    <p className="text-lg font-semibold">{summary.gini}</p>
+                </div>
+                <div>
+                    <p className="text-gray-600">Held by top 1%</p>
+                    <p className="text-lg font-semibold">{formatShare(summary.top1Share)}</p>
+                </div>
+                <div>
+                    <p className="text-gray-600">Held by top 10%</p>
+                    <p className="text-lg font-semibold">{formatShare(summary.top10Share)}</p>
+                </div>
+            </div>
+
+            <p className="mt-4 text-xs text-gray-500">
+                {isComplete
+                    ? `Based on all ${formatNumber(current.repos.length)} repositories of the search.`
+                    : `Based only on the ${formatNumber(current.repos.length)} most starred and most forked${totalLabel} repositories,
+                      fetched for the H-Index. The percentiles and shares describe the top of the term, not its full distribution.`}
+                A Gini coefficient near 1 means a few repositories hold most of the {unit}.
+            </p>
+        </div>
+    );
+}
+
+export default DistributionView;
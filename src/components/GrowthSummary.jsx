@@ -0,0 +1,134 @@
+import React, { useMemo } from 'react';
+import { getMetricValue, getMetricLabel } from '../services/trendTrackerService';
+import { formatNumber } from '../utils';
+import { toCsvCell, downloadCsv } from '../utils/csv';
+import { MOVING_AVERAGE_WINDOWS, summarizeGrowth, rankByMomentum } from '../utils/growth';
+
+/**
+ * Format a change as a signed percentage
+ * @param {number|null} change - Change as a fraction
+ * @param {string} suffix - Unit shown after the number
+ * @returns {string} Formatted change, or a dash when unknown
+ */
+const formatChange = (change, suffix = '%') => {
+    if (change === null || change === undefined) return '—';
+    const percent = change * 100;
+    return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}${suffix}`;
+};
+
+/**
+ * Format a value that may be fractional (shares, averages)
+ * @param {number|null} value - Value to format
+ * @returns {string} Formatted value, or a dash when unknown
+ */
+const formatValue = (value) => value === null || value === undefined ? '—' : formatNumber(Number(value.toFixed(2)));
+
+/**
+ * GrowthSummary component - Growth rates, moving average and momentum rank of each trend series
+ */
+function GrowthSummary({ chartData, metric, shareUnit, movingAverageWindow, onMovingAverageWindowChange }) {
+    const summaries = useMemo(() => {
+        const terms = Object.keys(chartData || {}).filter(term => Array.isArray(chartData[term]));
+        return Object.fromEntries(terms.map(term => [
+            term,
+            summarizeGrowth(
+                chartData[term],
+                chartData[term].map(point => getMetricValue(point, metric)),
+                movingAverageWindow
+            )
+        ]));
+    }, [chartData, metric, movingAverageWindow]);
+    const ranks = useMemo(() => rankByMomentum(summaries), [summaries]);
+
+    const terms = Object.keys(summaries);
+    if (terms.length === 0) return null;
+
+    // Export the table as shown
+    const handleDownload = () => {
+        let csv = `Term,Latest,Period Change (%),YoY Change (%),CAGR (%),Moving Average (${movingAverageWindow}),Momentum (pp),Momentum Rank\n`;
+        terms.forEach(term => {
+            const summary = summaries[term];
+            const toPercent = change => change === null ? '' : (change * 100).toFixed(2);
+            csv += [
+                toCsvCell(term),
+                summary.latest ?? '',
+                toPercent(summary.periodChange),
+                toPercent(summary.yoyChange),
+                toPercent(summary.cagr),
+                summary.movingAverage === null ? '' : summary.movingAverage.toFixed(2),
+                toPercent(summary.momentum),
+                ranks[term] ?? ''
+            ].join(',') + '\n';
+        });
+        downloadCsv(csv, 'github-trend-growth.csv');
+    };
+
+    return (
+        <div className="mt-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <h3 className="font-bold">Growth and Momentum</h3>
+                <div className="flex items-center gap-2 text-sm">
+                    <label htmlFor="movingAverageWindow">Moving average over</label>
+                    <select
+                        id="movingAverageWindow"
+                        className="p-1 border rounded"
+                        value={movingAverageWindow}
+                        onChange={(e) => onMovingAverageWindowChange(parseInt(e.target.value))}
+                    >
+                        {MOVING_AVERAGE_WINDOWS.map(window => (
+                            <option key={window} value={window}>{window} periods</option>
+                        ))}
+                    </select>
+                    <button
+                        className="bg-green-500 hover:bg-green-600 text-white px-3 py-1 rounded text-sm"
+                        onClick={handleDownload}
+                    >
+                        Download CSV
+                    </button>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="min-w-full bg-white border border-gray-300 text-sm">
+                    <thead className="bg-gray-50 border-b text-left">
+                        <tr>
+                            <th className="px-4 py-2">Term</th>
+                            <th className="px-4 py-2 text-center">Latest ({getMetricLabel(metric, shareUnit)})</th>
+                            <th className="px-4 py-2 text-center">Period Change</th>
+                            <th className="px-4 py-2 text-center">YoY</th>
+                            <th className="px-4 py-2 text-center">CAGR</th>
+                            <th className="px-4 py-2 text-center">Moving Average</th>
+                            <th className="px-4 py-2 text-center">Momentum</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {terms.map(term => {
+                            const summary = summaries[term];
+                            return (
+                                <tr key={term} className="border-b">
+                                    <td className="px-4 py-2 font-medium">{term}</td>
+                                    <td className="px-4 py-2 text-center">{formatValue(summary.latest)}</td>
+                                    <td className="px-4 py-2 text-center">{formatChange(summary.periodChange)}</td>
+                                    <td className="px-4 py-2 text-center">{formatChange(summary.yoyChange)}</td>
+                                    <td className="px-4 py-2 text-center">{formatChange(summary.cagr)}</td>
+                                    <td className="px-4 py-2 text-center">{formatValue(summary.movingAverage)}</td>
+                                    <td className={`px-4 py-2 text-center ${summary.momentum > 0 ? 'text-green-700' : summary.momentum < 0 ? 'text-red-600' : ''}`}>
+                                        {ranks[term] ? `#${ranks[term]} (${formatChange(summary.momentum, ' pp')})` : '—'}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            <p className="mt-2 text-xs text-gray-500">
+                Changes compare the last complete period with the one before and with the same period a year earlier;
+                CAGR spans the whole range. Momentum is how much faster the last {movingAverageWindow} periods grew than
+                the {movingAverageWindow} before them did, in percentage points, and ranks terms by recent acceleration.
+            </p>
+        </div>
+    );
+}
+
+export default GrowthSummary;
@@ -0,0 +1,64 @@
+import React, { useMemo } from 'react';
+import { formatNumber } from '../utils';
+import { summarizeLanguages, summarizeTopics, hasBreakdownData, getTermTopics, LANGUAGE_COLORS } from '../utils/breakdown';
+
+/**
+ * LanguageBreakdown component - Language mix and most common co-occurring topics of a term's repositories
+ */
+function LanguageBreakdown({ repos, searchTerm }) {
+    const languages = useMemo(() => summarizeLanguages(repos), [repos]);
+    const topics = useMemo(() => summarizeTopics(repos, 15, getTermTopics(searchTerm)), [repos, searchTerm]);
+
+    if (repos.length === 0 || !hasBreakdownData(repos)) return null;
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md mt-6 mb-6">
+            <h2 className="text-2xl font-bold mb-4">Languages and Topics</h2>
+
+            <h3 className="font-bold mb-2">Primary Languages</h3>
+            <div className="flex h-4 rounded overflow-hidden mb-2">
+                {languages.map((language, index) => (
+                    <div
+                        key={language.name}
+                        style={{
+                            width: `${language.share * 100}%`,
+                            backgroundColor: LANGUAGE_COLORS[index % LANGUAGE_COLORS.length]
+                        }}
+                        title={`${language.name}: ${formatNumber(language.count)} repositories`}
+                    />
+                ))}
+            </div>
+            <ul className="flex flex-wrap gap-x-4 gap-y-1 text-sm mb-6">
+                {languages.map((language, index) => (
+                    <li key={language.name} className="flex items-center">
+                        <span
+                            className="inline-block w-3 h-3 rounded-sm mr-1"
+                            style={{ backgroundColor: LANGUAGE_COLORS[index % LANGUAGE_COLORS.length] }}
+                        />
+                        {language.name}
+                        <span className="ml-1 text-gray-600">{(language.share * 100).toFixed(1)}%</span>
+                    </li>
+                ))}
+            </ul>
+
+            <h3 className="font-bold mb-2">Co-occurring Topics</h3>
+            {topics.length > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                    {topics.map(topic => (
+                        <span key={topic.name} className="px-2 py-1 bg-blue-100 text-blue-800 rounded-full text-xs">
+                            {topic.name} <span className="text-blue-600">{formatNumber(topic.count)}</span>
+                        </span>
+                    ))}
+                </div>
+            ) : (
+                <p className="text-sm text-gray-600">None of the repositories have other topics.</p>
+            )}
+
+            <p className="mt-4 text-xs text-gray-500">
+                Based on the {formatNumber(repos.length)} repositories fetched for the H-Index.
+            </p>
+        </div>
+    );
+}
+
+export default LanguageBreakdown;
@@ -0,0 +1,78 @@
+import React, { useMemo } from 'react';
+import { formatNumber } from '../utils';
+import { compareLanguages, summarizeTopics, hasBreakdownData, getTermTopics, LANGUAGE_COLORS } from '../utils/breakdown';
+
+// Number of co-occurring topics listed per term
+const TOPIC_COUNT = 5;
+
+/**
+ * LanguageComparison component - Stacked language bars and common topics for several terms side by side
+ */
+function LanguageComparison({ results }) {
+    const termResults = useMemo(
+        () => (results || []).filter(result => result.repos && result.repos.length > 0 && hasBreakdownData(result.repos)),
+        [results]
+    );
+    const comparison = useMemo(() => compareLanguages(termResults), [termResults]);
+    const topics = useMemo(
+        () => Object.fromEntries(termResults.map(result => [
+            result.searchTerm,
+            summarizeTopics(result.repos, TOPIC_COUNT, getTermTopics(result.searchTerm))
+        ])),
+        [termResults]
+    );
+
+    if (termResults.length === 0) return null;
+
+    const getColor = (index) => LANGUAGE_COLORS[index % LANGUAGE_COLORS.length];
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md mt-6 mb-6">
+            <h2 className="text-2xl font-bold mb-4">Languages and Topics</h2>
+
+            <ul className="flex flex-wrap gap-x-4 gap-y-1 text-sm mb-4">
+                {comparison.languages.map((name, index) => (
+                    <li key={name} className="flex items-center">
+                        <span
+                            className="inline-block w-3 h-3 rounded-sm mr-1"
+                            style={{ backgroundColor: name === 'Other' ? LANGUAGE_COLORS[LANGUAGE_COLORS.length - 1] : getColor(index) }}
+                        />
+                        {name}
+                    </li>
+                ))}
+            </ul>
+
+            {comparison.rows.map(row => (
+                <div key={row.searchTerm} className="mb-4">
+                    <div className="flex items-baseline justify-between text-sm mb-1">
+                        <span className="font-semibold">{row.searchTerm}</span>
+                        <span className="text-gray-500">{formatNumber(row.total)} repositories</span>
+                    </div>
+                    <div className="flex h-4 rounded overflow-hidden bg-gray-100">
+                        {comparison.languages.map((name, index) => row.shares[name] > 0 && (
+                            <div
+                                key={name}
+                                style={{
+                                    width: `${row.shares[name] * 100}%`,
+                                    backgroundColor: name === 'Other' ? LANGUAGE_COLORS[LANGUAGE_COLORS.length - 1] : getColor(index)
+                                }}
+                                title={`${name}: ${(row.shares[name] * 100).toFixed(1)}%`}
+                            />
+                        ))}
+                    </div>
+                    {topics[row.searchTerm].length > 0 && (
+                        <p className="mt-1 text-xs text-gray-600">
+                            Topics: {topics[row.searchTerm].map(topic => `${topic.name} (${formatNumber(topic.count)})`).join(', ')}
+                        </p>
+                    )}
+                </div>
+            ))}
+
+            <p className="mt-4 text-xs text-gray-500">
+                Primary languages and topics of the repositories fetched for each term's H-Index.
+            </p>
+        </div>
+    );
+}
+
+export default LanguageComparison;
@@ -1,10 +1,13 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { formatNumber } from '../utils'; // Assuming formatNumber is in utils.js
+import TermStatus from './TermStatus';
+import { getRepositoryPath, getTermPath } from '../utils/urlSharing';
 
 /**
  * MultiSearchResults component to display comparison table for multiple search terms
  */
-function MultiSearchResults({ multiResults }) {
+function MultiSearchResults({ multiResults, onRetry, isLoading, onShowStarHistory }) {
     const [sortConfig, setSortConfig] = useState({
         key: 'searchTerm',
         direction: 'ascending'
@@ -12,6 +15,10 @@ function MultiSearchResults({ multiResults }) {
 
     if (!multiResults || multiResults.length === 0) return null;
 
+    // Engagement columns only when the issue/PR/discussion H-Index was calculated
+    const showEngagement = multiResults.some(result => result.engagement);
+    const columnCount = showEngagement ? 14 : 11;
+
     // Handle sort when a column header is clicked
     const requestSort = (key) => {
         let direction = 'ascending';
@@ -21,19 +28,24 @@ function MultiSearchResults({ multiResults }) {
         setSortConfig({ key, direction });
     };
 
-    // Get sorted data based on current sort configuration
+    // Read a (possibly nested) column value, e.g. 'starMetrics.gIndex'
+    const getValue = (result, key) => key.split('.').reduce((value, part) => value?.[part], result);
+
+    // Get sorted data based on current sort configuration; unfinished and failed terms go last
     const getSortedData = () => {
-        const sortableData = [...multiResults];
+        const sortableData = multiResults.filter(result => !result.loading && !result.error);
         sortableData.sort((a, b) => {
-            if (a[sortConfig.key] < b[sortConfig.key]) {
+            const valueA = getValue(a, sortConfig.key);
+            const valueB = getValue(b, sortConfig.key);
+            if (valueA < valueB) {
                 return sortConfig.direction === 'ascending' ? -1 : 1;
             }
-            if (a[sortConfig.key] > b[sortConfig.key]) {
+            if (valueA > valueB) {
                 return sortConfig.direction === 'ascending' ? 1 : -1;
             }
             return 0;
         });
-        return sortableData;
+        return [...sortableData, ...multiResults.filter(result => result.loading || result.error)];
     };
 
     // Get class names for the table header based on current sort
@@ -76,7 +88,9 @@ function MultiSearchResults({ multiResults }) {
                 Comparative Analysis
             </h2>
             <p className="mb-4 text-sm text-gray-600">
-                Click on any column header to sort the table.
+                Click on any column header to sort the table. G-Index, i10, i100, M-Quotient and E-Index are based on stars.
+                {multiResults.some(result => result.starHIndexExact === false || result.forkHIndexExact === false) &&
+                    ' Values marked ≥ are lower bounds limited by GitHub search.'}
             </p>
             <div className="overflow-x-auto">
                 <table className="min-w-full bg-white border border-gray-300">
@@ -88,6 +102,14 @@ function MultiSearchResults({ multiResults }) {
                             {createSortableHeader('totalRepos', 'Total Repos')}
                             {createSortableHeader('totalPRs', 'PRs')}
                             {createSortableHeader('totalDiscussions', 'Discussions')}
+                            {createSortableHeader('starMetrics.gIndex', 'G-Index')}
+                            {createSortableHeader('starMetrics.i10', 'i10')}
+                            {createSortableHeader('starMetrics.i100', 'i100')}
+                            {createSortableHeader('starMetrics.mQuotient', 'M-Quotient')}
+                            {createSortableHeader('starMetrics.eIndex', 'E-Index')}
+                            {showEngagement && createSortableHeader('engagement.issues.hIndex', 'Issue H-Index')}
+                            {showEngagement && createSortableHeader('engagement.pullRequests.hIndex', 'PR H-Index')}
+                            {showEngagement && createSortableHeader('engagement.discussions.hIndex', 'Discussion H-Index')}
                             {createSortableHeader('topStar', 'Top Starred')}
                         </tr>
                     </thead>
@@ -98,38 +120,113 @@ function MultiSearchResults({ multiResults }) {
                                 className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}
                             >
                                 <td className="px-4 py-3 border-b">
-                                    {result.searchTerm}
-                                </td>
-                                <td className="px-4 py-3 border-b text-center">
-                                    {result.starHIndex}
-                                </td>
-                                <td className="px-4 py-3 border-b text-center">
-                                    {result.forkHIndex}
-                                </td>
-                                <td className="px-4 py-3 border-b text-center">
-                                    {formatNumber(result.totalRepos)}
-                                </td>
-                                <td className="px-4 py-3 border-b text-center">
-                                    {formatNumber(result.totalPRs)}
-                                </td>
-                                <td className="px-4 py-3 border-b text-center">
-                                    {result.githubToken ? formatNumber(result.totalDiscussions) : 'Requires token'}
-                                </td>
-                                <td className="px-4 py-3 border-b">
-                                    {result.topStarredRepos && result.topStarredRepos.length > 0 
-                                        ? (
-                                            <a
-                                                href={result.topStarredRepos[0].html_url}
-                                                target="_blank"
-                                                rel="noopener noreferrer"
-                                                className="text-blue-600 hover:underline"
-                                            >
-                                                {`${result.topStarredRepos[0].full_name} (${result.topStarredRepos[0].stargazers_count} ⭐)`}
-                                            </a>
-                                        )
-                                        : 'N/A'
-                                    }
+                                    <Link
+                                        to={getTermPath(result.searchTerm)}
+                                        target="_blank"
+                                        rel="noopener noreferrer"
+                                        className="text-blue-600 hover:underline"
+                                        title="Open the full report for this term"
+                                    >
+                                        {result.searchTerm}
+                                    </Link>
+                                    {result.effectiveQuery && result.effectiveQuery !== result.searchTerm && (
+                                        <code className="block text-xs text-gray-500">{result.effectiveQuery}</code>
+                                    )}
+                                    {!result.error && <TermStatus status={result.status} />}
                                 </td>
+                                {result.loading && (
+                                    <td colSpan={columnCount} className="px-4 py-3 border-b text-gray-400 animate-pulse">
+                                        Loading…
+                                    </td>
+                                )}
+                                {result.error && (
+                                    <td colSpan={columnCount} className="px-4 py-3 border-b">
+                                        <TermStatus
+                                            status={result.status}
+                                            error={result.error}
+                                            onRetry={onRetry && (() => onRetry(result.searchTerm))}
+                                            disabled={isLoading}
+                                        />
+                                    </td>
+                                )}
+                                {!result.loading && !result.error && (
+                                    <>
+                                        <td className="px-4 py-3 border-b text-center">
+                                            {result.starHIndexExact === false ? '≥ ' : ''}{result.starHIndex}
+                                        </td>
+                                        <td className="px-4 py-3 border-b text-center">
+                                            {result.forkHIndexExact === false ? '≥ ' : ''}{result.forkHIndex}
+                                        </td>
+                                        <td className="px-4 py-3 border-b text-center">
+                                            {formatNumber(result.totalRepos)}
+                                        </td>
+                                        <td className="px-4 py-3 border-b text-center">
+                                            {formatNumber(result.totalPRs)}
+                                        </td>
+                                        <td className="px-4 py-3 border-b text-center">
+                                            {result.githubToken ? formatNumber(result.totalDiscussions) : 'Requires token'}
+                                        </td>
+                                        <td className="px-4 py-3 border-b text-center">
+                                            {result.starMetrics?.gIndexExact === false ? '≥ ' : ''}{result.starMetrics?.gIndex}
+                                        </td>
+                                        <td className="px-4 py-3 border-b text-center">
+                                            {formatNumber(result.starMetrics?.i10)}
+                                        </td>
+                                        <td className="px-4 py-3 border-b text-center">
+                                            {formatNumber(result.starMetrics?.i100)}
+                                        </td>
+                                        <td className="px-4 py-3 border-b text-center">
+                                            {result.starMetrics?.mQuotient ?? 'N/A'}
+                                        </td>
+                                        <td className="px-4 py-3 border-b text-center">
+                                            {result.starMetrics?.eIndex}
+                                        </td>
+                                        {showEngagement && result.engagement?.error && (
+                                            <td colSpan="3" className="px-4 py-3 border-b text-center">
+                                                <TermStatus
+                                                    status={result.engagement.status}
+                                                    error={result.engagement.error}
+                                                    onRetry={onRetry && (() => onRetry(result.searchTerm))}
+                                                    disabled={isLoading}
+                                                />
+                                            </td>
+                                        )}
+                                        {showEngagement && !result.engagement?.error && ['issues', 'pullRequests', 'discussions'].map(kind => (
+                                            <td key={kind} className="px-4 py-3 border-b text-center">
+                                                {result.engagement?.[kind]
+                                                    ? `${result.engagement[kind].exact ? '' : '≥ '}${result.engagement[kind].hIndex}`
+                                                    : 'N/A'}
+                                            </td>
+                                        ))}
+                                        <td className="px-4 py-3 border-b">
+                                            {result.topStarredRepos && result.topStarredRepos.length > 0 
+                                                ? (
+                                                    <>
+                                                        <Link
+                                                            to={getRepositoryPath(result.topStarredRepos[0].full_name)}
+                                                            target="_blank"
+                                                            rel="noopener noreferrer"
+                                                            className="text-blue-600 hover:underline"
+                                                        >
+                                                            {`${result.topStarredRepos[0].full_name} (${result.topStarredRepos[0].stargazers_count} ⭐)`}
+                                                        </Link>
+                                                        {onShowStarHistory && (
+                                                            <button
+                                                                type="button"
+                                                                className="ml-2"
+                                                                onClick={() => onShowStarHistory(result.topStarredRepos[0].full_name)}
+                                                                title="Show star history"
+                                                            >
+                                                                📈
+                                                            </button>
+                                                        )}
+                                                    </>
+                                                )
+                                                : 'N/A'
+                                            }
+                                        </td>
+                                    </>
+                                )}
                             </tr>
                         ))}
                     </tbody>
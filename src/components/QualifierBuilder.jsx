@@ -0,0 +1,184 @@
+import React, { useState, useId } from 'react';
+import {
+    parseSearchTerm,
+    composeSearchTerm,
+    SEARCH_FIELDS
+} from '../utils/searchQualifiers';
+
+/**
+ * QualifierBuilder component - Form for adding structured GitHub search qualifiers to a search term
+ */
+function QualifierBuilder({ term, onApply, onCancel, showText = true }) {
+    const id = useId();
+    const parsed = parseSearchTerm(term);
+    const [text, setText] = useState(parsed.text);
+    const [qualifiers, setQualifiers] = useState(parsed.qualifiers);
+
+    // Update a single qualifier
+    const updateQualifier = (key, value) => {
+        setQualifiers({ ...qualifiers, [key]: value });
+    };
+
+    // Toggle a field of the `in:` qualifier
+    const toggleSearchField = (field) => {
+        const fields = qualifiers.in.includes(field)
+            ? qualifiers.in.filter(f => f !== field)
+            : SEARCH_FIELDS.filter(f => f === field || qualifiers.in.includes(f));
+        updateQualifier('in', fields);
+    };
+
+    const handleApply = () => {
+        onApply(composeSearchTerm(text, qualifiers));
+    };
+
+    const inputClassName = 'w-full p-2 border rounded';
+
+    return (
+        <div className="mt-2 p-4 border rounded-md bg-gray-50 text-sm">
+            {showText && (
+                <div className="mb-3">
+                    <label className="block text-gray-700 mb-1" htmlFor={`${id}-text`}>Search text</label>
+                    <input
+                        id={`${id}-text`}
+                        type="text"
+                        className={inputClassName}
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                    />
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+                <div>
+                    <label className="block text-gray-700 mb-1" htmlFor={`${id}-language`}>Language</label>
+                    <input
+                        id={`${id}-language`}
+                        type="text"
+                        className={inputClassName}
+                        placeholder="e.g. rust"
+                        value={qualifiers.language}
+                        onChange={(e) => updateQualifier('language', e.target.value)}
+                    />
+                </div>
+                <div>
+                    <label className="block text-gray-700 mb-1" htmlFor={`${id}-topic`}>Topic</label>
+                    <input
+                        id={`${id}-topic`}
+                        type="text"
+                        className={inputClassName}
+                        placeholder="e.g. machine-learning"
+                        value={qualifiers.topic}
+                        onChange={(e) => updateQualifier('topic', e.target.value)}
+                    />
+                </div>
+                <div>
+                    <label className="block text-gray-700 mb-1" htmlFor={`${id}-license`}>License</label>
+                    <input
+                        id={`${id}-license`}
+                        type="text"
+                        className={inputClassName}
+                        placeholder="e.g. mit"
+                        value={qualifiers.license}
+                        onChange={(e) => updateQualifier('license', e.target.value)}
+                    />
+                </div>
+                <div>
+                    <label className="block text-gray-700 mb-1" htmlFor={`${id}-stars`}>Minimum stars</label>
+                    <input
+                        id={`${id}-stars`}
+                        type="number"
+                        min="0"
+                        className={inputClassName}
+                        value={qualifiers.minStars}
+                        onChange={(e) => updateQualifier('minStars', e.target.value === '' ? '' : Math.max(parseInt(e.target.value) || 0, 0))}
+                    />
+                </div>
+                <div>
+                    <label className="block text-gray-700 mb-1" htmlFor={`${id}-owner`}>Owner</label>
+                    <div className="flex">
+                        <select
+                            className="p-2 border rounded mr-1"
+                            value={qualifiers.ownerType}
+                            onChange={(e) => updateQualifier('ownerType', e.target.value)}
+                        >
+                            <option value="user">User</option>
+                            <option value="org">Org</option>
+                        </select>
+                        <input
+                            id={`${id}-owner`}
+                            type="text"
+                            className={inputClassName}
+                            value={qualifiers.owner}
+                            onChange={(e) => updateQualifier('owner', e.target.value)}
+                        />
+                    </div>
+                </div>
+                <div>
+                    <label className="block text-gray-700 mb-1" htmlFor={`${id}-pushed`}>Pushed after</label>
+                    <input
+                        id={`${id}-pushed`}
+                        type="date"
+                        className={inputClassName}
+                        value={qualifiers.pushedAfter}
+                        onChange={(e) => updateQualifier('pushedAfter', e.target.value)}
+                    />
+                </div>
+            </div>
+
+            <div className="flex flex-wrap gap-4 mb-3">
+                <span className="text-gray-700">Match in:</span>
+                {SEARCH_FIELDS.map(field => (
+                    <label key={field} className="flex items-center">
+                        <input
+                            type="checkbox"
+                            className="mr-1"
+                            checked={qualifiers.in.includes(field)}
+                            onChange={() => toggleSearchField(field)}
+                        />
+                        {field}
+                    </label>
+                ))}
+                <label className="flex items-center">
+                    <input
+                        type="checkbox"
+                        className="mr-1"
+                        checked={qualifiers.excludeArchived}
+                        onChange={(e) => updateQualifier('excludeArchived', e.target.checked)}
+                    />
+                    Exclude archived
+                </label>
+                <label className="flex items-center">
+                    <input
+                        type="checkbox"
+                        className="mr-1"
+                        checked={qualifiers.excludeForks}
+                        onChange={(e) => updateQualifier('excludeForks', e.target.checked)}
+                    />
+                    Exclude forks
+                </label>
+            </div>
+
+            <div className="flex justify-between items-center">
+                <code className="text-xs text-gray-600 break-all mr-4">{composeSearchTerm(text, qualifiers)}</code>
+                <div className="flex gap-2">
+                    <button
+                        type="button"
+                        className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded"
+                        onClick={onCancel}
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        className="px-3 py-1 bg-blue-500 hover:bg-blue-600 text-white rounded"
+                        onClick={handleApply}
+                    >
+                        Apply
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default QualifierBuilder;
@@ -0,0 +1,28 @@
+import React, { useSyncExternalStore } from 'react';
+import { getRateLimitState, subscribeToRateLimit } from '../services/requestService';
+
+/**
+ * RateLimitStatus component - Shows the remaining GitHub API quota and when it resets
+ */
+function RateLimitStatus() {
+    const rateLimits = useSyncExternalStore(subscribeToRateLimit, getRateLimitState);
+    
+    // Prefer the GraphQL quota, which is what authenticated analyses consume
+    const quota = rateLimits.graphql || rateLimits.search || rateLimits.core;
+    if (!quota || isNaN(quota.remaining)) return null;
+    
+    const unit = rateLimits.graphql ? 'points' : 'requests';
+    const resetTime = quota.resetAt
+        ? new Date(quota.resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : null;
+    const isLow = quota.limit && quota.remaining / quota.limit < 0.1;
+    
+    return (
+        <span className={`ml-4 text-sm ${isLow ? 'text-red-600' : 'text-gray-500'}`}>
+            {quota.remaining}/{quota.limit} {unit} left
+            {resetTime && `, resets ${resetTime}`}
+        </span>
+    );
+}
+
+export default RateLimitStatus;
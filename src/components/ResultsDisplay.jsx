@@ -1,10 +1,49 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { formatNumber } from '../utils'; // Assuming the formatNumber utility is in utils
+import { getRepositoryPath } from '../utils/urlSharing';
+import TermStatus from './TermStatus';
+
+// Rows of the impact indices table
+const IMPACT_ROWS = [
+    {
+        label: 'G-Index',
+        format: metrics => `${metrics.gIndexExact === false ? '≥ ' : ''}${metrics.gIndex}`,
+        description: 'The top g repositories together have at least g² stars/forks'
+    },
+    {
+        label: 'i10',
+        format: metrics => formatNumber(metrics.i10),
+        description: 'Repositories with at least 10 stars/forks'
+    },
+    {
+        label: 'i100',
+        format: metrics => formatNumber(metrics.i100),
+        description: 'Repositories with at least 100 stars/forks'
+    },
+    {
+        label: 'M-Quotient',
+        format: metrics => metrics.mQuotient ?? 'N/A',
+        description: 'H-Index divided by the years since the oldest fetched repository was created'
+    },
+    {
+        label: 'E-Index',
+        format: metrics => metrics.eIndex,
+        description: 'Square root of the stars/forks of the H-Index repositories beyond the h² they need'
+    }
+];
+
+// Sections of the community engagement results
+const ENGAGEMENT_SECTIONS = [
+    { key: 'issues', title: 'Issue H-Index', noun: 'issues' },
+    { key: 'pullRequests', title: 'PR H-Index', noun: 'pull requests' },
+    { key: 'discussions', title: 'Discussion H-Index', noun: 'discussions' }
+];
 
 /**
  * ResultsDisplay component to show GitHub H-Index results
  */
-function ResultsDisplay({ results }) {
+function ResultsDisplay({ results, onShowStarHistory }) {
     if (!results) return null;
     
     return (
@@ -12,6 +51,17 @@ function ResultsDisplay({ results }) {
             <h2 className="text-2xl font-bold mb-4">
                 Results for "{results.searchTerm}"
             </h2>
+            {results.effectiveQuery && results.effectiveQuery !== results.searchTerm && (
+                <p className="mb-2">
+                    Effective query: <code className="text-sm">{results.effectiveQuery}</code>
+                </p>
+            )}
+            {results.entity && (
+                <p className="mb-2">
+                    All repositories owned by {results.entity.type} <strong>{results.entity.login}</strong>
+                    {results.includeForks ? ', including forks' : ', excluding forks'}
+                </p>
+            )}
             <p className="mb-2">
                 Repositories created after: {results.dateLimit}
             </p>
@@ -33,10 +83,11 @@ function ResultsDisplay({ results }) {
                 {/* Star H-Index section */}
                 <div className="bg-blue-50 p-4 rounded-lg">
                     <h3 className="text-xl font-bold mb-3 text-blue-800">
-                        Star H-Index: {results.starHIndex}
+                        Star H-Index: {results.starHIndexExact === false ? '≥ ' : ''}{results.starHIndex}
                     </h3>
                     <p className="mb-4 text-sm">
                         This means there are at least {results.starHIndex} repositories with at least {results.starHIndex} stars each.
+                        {results.starHIndexExact === false && ' GitHub search limits kept this from being calculated exactly, so it is a lower bound.'}
                     </p>
                     <h4 className="font-bold mb-2">
                         Top Starred Repositories:
@@ -44,17 +95,27 @@ function ResultsDisplay({ results }) {
                     <ul className="text-sm">
                         {results.topStarredRepos.map(repo => (
                             <li key={repo.id} className="mb-2">
-                                <a 
-                                    href={repo.html_url}
+                                <Link
+                                    to={getRepositoryPath(repo.full_name)}
                                     target="_blank"
                                     rel="noopener noreferrer"
                                     className="text-blue-600 hover:underline"
                                 >
                                     {repo.full_name}
-                                </a>
+                                </Link>
                                 <span className="ml-2 text-gray-600">
                                     ({repo.stargazers_count} ⭐)
                                 </span>
+                                {onShowStarHistory && (
+                                    <button
+                                        type="button"
+                                        className="ml-2"
+                                        onClick={() => onShowStarHistory(repo.full_name)}
+                                        title="Show star history"
+                                    >
+                                        📈
+                                    </button>
+                                )}
                             </li>
                         ))}
                     </ul>
@@ -63,10 +124,11 @@ function ResultsDisplay({ results }) {
                 {/* Fork H-Index section */}
                 <div className="bg-green-50 p-4 rounded-lg">
                     <h3 className="text-xl font-bold mb-3 text-green-800">
-                        Fork H-Index: {results.forkHIndex}
+                        Fork H-Index: {results.forkHIndexExact === false ? '≥ ' : ''}{results.forkHIndex}
                     </h3>
                     <p className="mb-4 text-sm">
                         This means there are at least {results.forkHIndex} repositories with at least {results.forkHIndex} forks each.
+                        {results.forkHIndexExact === false && ' GitHub search limits kept this from being calculated exactly, so it is a lower bound.'}
                     </p>
                     <h4 className="font-bold mb-2">
                         Top Forked Repositories:
@@ -74,22 +136,108 @@ function ResultsDisplay({ results }) {
                     <ul className="text-sm">
                         {results.topForkedRepos.map(repo => (
                             <li key={repo.id} className="mb-2">
-                                <a 
-                                    href={repo.html_url}
-                                    target="_blank" 
+                                <Link
+                                    to={getRepositoryPath(repo.full_name)}
+                                    target="_blank"
                                     rel="noopener noreferrer"
                                     className="text-blue-600 hover:underline"
                                 >
                                     {repo.full_name}
-                                </a>
+                                </Link>
                                 <span className="ml-2 text-gray-600">
                                     ({repo.forks_count} 🍴)
                                 </span>
+                                {onShowStarHistory && (
+                                    <button
+                                        type="button"
+                                        className="ml-2"
+                                        onClick={() => onShowStarHistory(repo.full_name)}
+                                        title="Show star history"
+                                    >
+                                        📈
+                                    </button>
+                                )}
                             </li>
                         ))}
                     </ul>
                 </div>
             </div>
+            
+            {/* Further impact indices */}
+            {results.starMetrics && results.forkMetrics && (
+                <div className="mt-6">
+                    <h3 className="text-xl font-bold mb-3">Impact Indices</h3>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full bg-white border border-gray-300 text-sm">
+                            <thead className="bg-gray-50 border-b text-left">
+                                <tr>
+                                    <th className="px-4 py-2">Index</th>
+                                    <th className="px-4 py-2 text-center">Stars</th>
+                                    <th className="px-4 py-2 text-center">Forks</th>
+                                    <th className="px-4 py-2">Meaning</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {IMPACT_ROWS.map(row => (
+                                    <tr key={row.label} className="border-b">
+                                        <td className="px-4 py-2 font-semibold">{row.label}</td>
+                                        <td className="px-4 py-2 text-center">{row.format(results.starMetrics)}</td>
+                                        <td className="px-4 py-2 text-center">{row.format(results.forkMetrics)}</td>
+                                        <td className="px-4 py-2 text-gray-600">{row.description}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {!results.exactThresholdCounts && (
+                        <p className="mt-2 text-xs text-gray-500">
+                            Without a GitHub token, i10 and i100 only count the repositories fetched for the H-Index.
+                        </p>
+                    )}
+                </div>
+            )}
+            
+            {/* Issue, PR and discussion H-Index */}
+            {results.engagement && (
+                <div className="mt-6">
+                    <h3 className="text-xl font-bold mb-3">Community Engagement</h3>
+                    {results.engagement.error ? (
+                        <TermStatus status={results.engagement.status} error={results.engagement.error} />
+                    ) : (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            {ENGAGEMENT_SECTIONS.map(({ key, title, noun }) => {
+                                const engagement = results.engagement[key];
+                                return (
+                                    <div key={key} className="bg-purple-50 p-4 rounded-lg">
+                                        <h4 className="text-lg font-bold mb-2 text-purple-800">
+                                            {title}: {engagement.exact ? '' : '≥ '}{engagement.hIndex}
+                                        </h4>
+                                        <p className="mb-3 text-sm">
+                                            {engagement.hIndex} {noun} with at least {engagement.hIndex} {engagement.score} each,
+                                            out of {formatNumber(engagement.totalCount)}.
+                                        </p>
+                                        <ul className="text-sm">
+                                            {engagement.topItems.map(item => (
+                                                <li key={item.id} className="mb-1">
+                                                    <a
+                                                        href={item.url}
+                                                        target="_blank"
+                                                        rel="noopener noreferrer"
+                                                        className="text-blue-600 hover:underline"
+                                                    >
+                                                        {item.title}
+                                                    </a>
+                                                    <span className="ml-2 text-gray-600">({formatNumber(item.score)})</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     );
 }
@@ -0,0 +1,34 @@
+import React from 'react';
+import { formatNumber } from '../utils';
+
+/**
+ * SearchProgress component - Shows how far a running analysis has got and lets the user cancel it
+ */
+function SearchProgress({ progress, onCancel }) {
+    return (
+        <div
+            className="flex justify-between items-center bg-blue-50 border-l-4 border-blue-500 text-blue-700 p-4 mb-6"
+            role="status"
+        >
+            <p className="text-sm">
+                {progress ? (
+                    <>
+                        Term {progress.index + 1}/{progress.total}
+                        {' · '}&quot;{progress.term}&quot;: page {progress.pages}, {formatNumber(progress.repos)} repos fetched
+                    </>
+                ) : (
+                    'Starting analysis…'
+                )}
+            </p>
+            <button
+                type="button"
+                className="ml-4 px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded"
+                onClick={onCancel}
+            >
+                Cancel
+            </button>
+        </div>
+    );
+}
+
+export default SearchProgress;
@@ -0,0 +1,235 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { formatNumber } from '../utils';
+import { calculateStarGrowth, interpolateStars } from '../utils/starGrowth';
+import { loadChartJs } from '../utils/chartLoader';
+
+const COLORS = ['#36A2EB', '#FF6384', '#FFCE56', '#4BC0C0', '#9966FF'];
+
+/**
+ * Format a timestamp as a short month and year
+ * @param {number|string} value - Timestamp or date string
+ * @returns {string} Formatted date
+ */
+const formatMonth = (value) => new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'short' });
+
+/**
+ * Format the stars gained over a recent period
+ * @param {number|null} stars - Stars gained, or null when the newest stars have no dates
+ * @returns {string} Formatted growth
+ */
+const formatRecentGrowth = (stars) => stars === null ? 'N/A' : `+${formatNumber(stars)}`;
+
+/**
+ * StarHistory component - Cumulative stars over time for up to five repositories, with growth rates
+ */
+function StarHistory({ entries, onRemove }) {
+    const chartContainerRef = useRef(null);
+    const chartRef = useRef(null);
+
+    const loaded = useMemo(
+        () => entries
+            .filter(entry => entry.history)
+            .map(entry => ({
+                ...entry,
+                growth: calculateStarGrowth(entry.history.points, new Date(), entry.history.truncated)
+            })),
+        [entries]
+    );
+
+    // Render the curves using Chart.js
+    useEffect(() => {
+        if (loaded.length === 0) return;
+
+        let cancelled = false;
+        loadChartJs()
+            .then(Chart => {
+                if (cancelled || !chartContainerRef.current) return;
+
+                // Clear any existing chart
+                chartRef.current?.destroy();
+                chartContainerRef.current.innerHTML = '';
+                const canvas = document.createElement('canvas');
+                chartContainerRef.current.appendChild(canvas);
+
+                const datasets = loaded.flatMap((entry, index) => {
+                    const color = COLORS[index % COLORS.length];
+                    const { peakMonth } = entry.growth;
+
+                    return [
+                        {
+                            label: entry.fullName,
+                            data: entry.history.points.map(point => ({ x: new Date(point.date).getTime(), y: point.stars })),
+                            borderColor: color,
+                            backgroundColor: color + '33',
+                            pointRadius: 0,
+                            tension: 0.1,
+                            // Dash the jump from the last listed stargazer to the current count
+                            segment: {
+                                borderDash: context => entry.history.truncated && context.p1DataIndex === entry.history.points.length - 1
+                                    ? [6, 4]
+                                    : undefined
+                            }
+                        },
+                        // Mark the month with the most new stars on the curve
+                        ...(peakMonth && peakMonth.stars > 0 ? [{
+                            label: `${entry.fullName} peak`,
+                            data: [{
+                                x: new Date(peakMonth.date).getTime(),
+                                y: interpolateStars(entry.history.points, new Date(peakMonth.date).getTime())
+                            }],
+                            borderColor: color,
+                            backgroundColor: color,
+                            pointRadius: 5,
+                            pointStyle: 'triangle',
+                            showLine: false,
+                            peakMonth
+                        }] : [])
+                    ];
+                });
+
+                chartRef.current = new Chart(canvas.getContext('2d'), {
+                    type: 'line',
+                    data: { datasets },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        interaction: {
+                            mode: 'nearest',
+                            intersect: false
+                        },
+                        plugins: {
+                            legend: {
+                                labels: {
+                                    filter: item => !item.text.endsWith(' peak')
+                                }
+                            },
+                            tooltip: {
+                                callbacks: {
+                                    title: items => formatMonth(items[0].parsed.x),
+                                    label: item => item.dataset.peakMonth
+                                        ? `Peak month for ${item.dataset.label.replace(/ peak$/, '')}: +${formatNumber(item.dataset.peakMonth.stars)} stars`
+                                        : `${item.dataset.label}: ${formatNumber(item.parsed.y)} stars`
+                                }
+                            }
+                        },
+                        scales: {
+                            x: {
+                                type: 'linear',
+                                ticks: { callback: value => formatMonth(value) }
+                            },
+                            y: {
+                                beginAtZero: true,
+                                title: { display: true, text: 'Stars' }
+                            }
+                        }
+                    }
+                });
+            })
+            .catch(error => console.error('Error loading Chart.js:', error));
+
+        return () => {
+            cancelled = true;
+            chartRef.current?.destroy();
+            chartRef.current = null;
+        };
+    }, [loaded]);
+
+    if (entries.length === 0) return null;
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md mt-6 mb-6">
+            <h2 className="text-2xl font-bold mb-4">Star History</h2>
+
+            {loaded.length > 0 && (
+                <div
+                    ref={chartContainerRef}
+                    className="bg-white p-4 rounded border h-80 w-full mb-4"
+                />
+            )}
+
+            <div className="overflow-x-auto">
+                <table className="min-w-full bg-white border border-gray-300 text-sm">
+                    <thead className="bg-gray-50 border-b text-left">
+                        <tr>
+                            <th className="px-4 py-2">Repository</th>
+                            <th className="px-4 py-2 text-center">Stars</th>
+                            <th className="px-4 py-2 text-center">Last 30 Days</th>
+                            <th className="px-4 py-2 text-center">Last Year</th>
+                            <th className="px-4 py-2 text-center">Per Month</th>
+                            <th className="px-4 py-2 text-center">Peak Month</th>
+                            <th className="px-4 py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.map(entry => {
+                            const growth = loaded.find(current => current.fullName === entry.fullName)?.growth;
+
+                            return (
+                                <tr key={entry.fullName} className="border-b">
+                                    <td className="px-4 py-2">
+                                        {entry.history ? (
+                                            <a
+                                                href={entry.history.url}
+                                                target="_blank"
+                                                rel="noopener noreferrer"
+                                                className="text-blue-600 hover:underline"
+                                            >
+                                                {entry.fullName}
+                                            </a>
+                                        ) : entry.fullName}
+                                        {entry.history?.truncated ? (
+                                            <span className="ml-1 text-xs text-gray-500" title="GitHub lists only the oldest 40,000 stargazers, so the newest stars have no dates">
+                                                (truncated)
+                                            </span>
+                                        ) : entry.history?.sampled && (
+                                            <span className="ml-1 text-xs text-gray-500" title="Too many stars to fetch them all, so the curve is sampled">
+                                                (sampled)
+                                            </span>
+                                        )}
+                                    </td>
+                                    {entry.loading && (
+                                        <td colSpan="5" className="px-4 py-2 text-gray-500">Loading star history…</td>
+                                    )}
+                                    {entry.error && (
+                                        <td colSpan="5" className="px-4 py-2 text-red-600">{entry.error}</td>
+                                    )}
+                                    {growth && (
+                                        <>
+                                            <td className="px-4 py-2 text-center">{formatNumber(entry.history.stargazerCount)}</td>
+                                            <td className="px-4 py-2 text-center">{formatRecentGrowth(growth.last30Days)}</td>
+                                            <td className="px-4 py-2 text-center">{formatRecentGrowth(growth.last365Days)}</td>
+                                            <td className="px-4 py-2 text-center">{formatNumber(growth.perMonth)}</td>
+                                            <td className="px-4 py-2 text-center">
+                                                {growth.peakMonth ? `${formatMonth(growth.peakMonth.date)} (+${formatNumber(growth.peakMonth.stars)})` : 'N/A'}
+                                            </td>
+                                        </>
+                                    )}
+                                    <td className="px-4 py-2 text-right">
+                                        <button
+                                            type="button"
+                                            className="text-gray-500 hover:text-red-600"
+                                            onClick={() => onRemove(entry.fullName)}
+                                            title="Remove from the chart"
+                                        >
+                                            ✕
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            <p className="mt-4 text-xs text-gray-500">
+                Add up to 5 repositories with the 📈 buttons next to the top repositories; triangles mark each
+                repository's peak month. Stars beyond the first 1,000 (or all stars, without GitHub authentication)
+                are sampled, so those curves are approximate between the sampled points. GitHub lists only the
+                oldest 40,000 stargazers, so for larger repositories the dashed end of the curve is a straight
+                line to the current count and the recent growth and peak month are unavailable.
+            </p>
+        </div>
+    );
+}
+
+export default StarHistory;
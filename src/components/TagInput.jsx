@@ -1,4 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
+import QualifierBuilder from './QualifierBuilder';
+import { parseSearchTerm, describeQualifiers } from '../utils/searchQualifiers';
 
 /**
  * TagInput component - An input field that allows adding multiple tags/search terms
@@ -11,6 +13,7 @@ function TagInput({ tags, setTags, onAnalyze, isLoading }) {
   const [lastSelectedIndex, setLastSelectedIndex] = useState(-1);
   const [editingIndex, setEditingIndex] = useState(-1);
   const [blinkedTagIndices, setBlinkedTagIndices] = useState([]);
+  const [builderIndex, setBuilderIndex] = useState(-1);
 
   const inputRef = useRef(null);
   const containerRef = useRef(null);
@@ -428,6 +431,24 @@ function TagInput({ tags, setTags, onAnalyze, isLoading }) {
     setTags(tags.filter((_, index) => index !== indexToRemove));
     inputRef.current.focus();
     setSelectedTagIndices([]);
+    setBuilderIndex(-1);
+  };
+
+  // Replace a tag with the search string composed in the qualifier builder
+  const applyQualifiers = (index, newValue) => {
+    const duplicateIndex = tags.findIndex((tag, i) => tag === newValue && i !== index);
+    if (duplicateIndex !== -1) {
+      setBlinkedTagIndices([duplicateIndex]);
+      setTimeout(() => setBlinkedTagIndices([]), 400);
+      return;
+    }
+
+    if (newValue !== '') {
+      const newTags = [...tags];
+      newTags[index] = newValue;
+      setTags(newTags);
+    }
+    setBuilderIndex(-1);
   };
 
   // Make the tags interactive (keyboard navigation, selection, etc.)
@@ -505,9 +526,22 @@ function TagInput({ tags, setTags, onAnalyze, isLoading }) {
                 onBlur={() => finishEditing(index)}
               />
             ) : (
-              <span className="cursor-text overflow-hidden text-ellipsis">
-                {tag}
-              </span>
+              <TagLabel tag={tag} selected={selectedTagIndices.includes(index)} />
+            )}
+            {editingIndex !== index && (
+              <button
+                type="button"
+                title="Add search qualifiers"
+                className={`ml-1 focus:outline-none ${
+                  selectedTagIndices.includes(index) ? 'text-white' : 'text-blue-600 hover:text-blue-800'
+                }`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setBuilderIndex(builderIndex === index ? -1 : index);
+                }}
+              >
+                ⚙
+              </button>
             )}
             {editingIndex !== index && (
               <button
@@ -575,14 +609,46 @@ function TagInput({ tags, setTags, onAnalyze, isLoading }) {
         </button>
       </div>
       
+      {/* Qualifier builder for the chosen tag */}
+      {builderIndex >= 0 && builderIndex < tags.length && (
+        <QualifierBuilder
+          key={tags[builderIndex]}
+          term={tags[builderIndex]}
+          onApply={(newValue) => applyQualifiers(builderIndex, newValue)}
+          onCancel={() => setBuilderIndex(-1)}
+        />
+      )}
+
       {/* Keyboard shortcuts hint */}
       {tags.length > 0 && (
         <div className="mt-1 text-xs text-gray-500">
-          <span>Tip: Use arrow keys to navigate tags. Hold Shift to select multiple tags. Press Enter to edit. Ctrl+C to copy selected.</span>
+          <span>Tip: Use arrow keys to navigate tags. Hold Shift to select multiple tags. Press Enter to edit. Ctrl+C to copy selected. Click ⚙ to add search filters.</span>
         </div>
       )}
     </div>
   );
 }
 
+/**
+ * TagLabel component - Shows a tag's free text with its qualifiers as sub-chips
+ */
+function TagLabel({ tag, selected }) {
+  const { text, qualifiers } = parseSearchTerm(tag);
+  const labels = describeQualifiers(qualifiers);
+
+  return (
+    <span className="cursor-text overflow-hidden text-ellipsis flex flex-wrap items-center gap-1">
+      {text || (labels.length === 0 ? tag : '')}
+      {labels.map(label => (
+        <span
+          key={label}
+          className={`px-1 rounded text-xs ${selected ? 'bg-blue-400 text-white' : 'bg-blue-200 text-blue-900'}`}
+        >
+          {label}
+        </span>
+      ))}
+    </span>
+  );
+}
+
 export default TagInput;
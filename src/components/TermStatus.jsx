@@ -0,0 +1,36 @@
+import React from 'react';
+import { TERM_STATUS, describeTermStatus, isFailedStatus } from '../utils/errors';
+
+/**
+ * TermStatus component - Shows why a search term failed or is incomplete, with a retry action
+ */
+function TermStatus({ status, error, onRetry, disabled }) {
+    if (!status || status === TERM_STATUS.OK) return null;
+
+    const { label, hint } = describeTermStatus(status);
+    const failed = isFailedStatus(status);
+
+    return (
+        <span className="inline-flex flex-wrap items-center gap-2 text-sm">
+            <span
+                className={`px-2 py-0.5 rounded text-xs font-semibold ${failed ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-800'}`}
+                title={hint}
+            >
+                {label}
+            </span>
+            {failed && error && <span className="text-red-600">{error}</span>}
+            {failed && onRetry && (
+                <button
+                    type="button"
+                    className="px-2 py-0.5 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded text-xs disabled:opacity-50"
+                    onClick={onRetry}
+                    disabled={disabled}
+                >
+                    Retry
+                </button>
+            )}
+        </span>
+    );
+}
+
+export default TermStatus;
@@ -1,5 +1,6 @@
 import React from 'react';
 import { initiateGitHubAuth, logout, isAuthenticated } from '../services/authService';
+import RateLimitStatus from './RateLimitStatus';
 
 /**
  * TokenInput component for GitHub API authentication
@@ -25,6 +26,7 @@ function TokenInput({ githubToken, setGithubToken }) {
                 <div className="text-gray-700">
                     <span className="font-medium">GitHub:</span> 
                     <span className="ml-2 text-green-600">✓ Connected</span>
+                    <RateLimitStatus />
                 </div>
                 <button
                     onClick={handleLogout}                className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded"
@@ -1,16 +1,33 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { getMetricValue, getMetricLabel, getProjectedValue, getTermDataStatus } from '../services/trendTrackerService';
+import { describeTermStatus } from '../utils/errors';
+import { loadChartJs } from '../utils/chartLoader';
+import { getDerivedSeries } from '../utils/growth';
+
+// Derived series that can be toggled on, and whether they are plotted as a change in %
+const DERIVED_SERIES = [
+    { key: 'movingAverage', label: 'Moving average', percent: false },
+    { key: 'periodChange', label: 'Period change', percent: true },
+    { key: 'yoyChange', label: 'YoY change', percent: true }
+];
 
 /**
- * TrendChart component - Renders a chart for GitHub trend data
+ * TrendChart component - Renders a chart for GitHub trend data; normalized data is labeled
+ * with its share unit. Moving averages and changes can be overlaid as derived series.
  */
-function TrendChart({ chartData, metric }) {
+function TrendChart({ chartData, metric, shareUnit, movingAverageWindow = 3 }) {
     const chartContainerRef = useRef(null);
+    // Chart.js instance, destroyed before redrawing so instances don't pile up on the container
+    const chartRef = useRef(null);
+    const [shownDerived, setShownDerived] = useState({});
+    const showsChange = DERIVED_SERIES.some(series => series.percent && shownDerived[series.key]);
 
     // Render the chart using Chart.js
     const renderChart = (data) => {
         if (!data || Object.keys(data).length === 0 || !chartContainerRef.current) return;
         
         // Clear any existing chart
+        chartRef.current?.destroy();
         chartContainerRef.current.innerHTML = '';
         const canvas = document.createElement('canvas');
         chartContainerRef.current.appendChild(canvas);
@@ -22,9 +39,9 @@ function TrendChart({ chartData, metric }) {
         const datasets = [];
         const colors = ['#36A2EB', '#FF6384', '#FFCE56', '#4BC0C0', '#9966FF'];
         
-        // Get all unique period labels
-        const firstTerm = Object.keys(data)[0];
-        if (data[firstTerm] && Array.isArray(data[firstTerm])) {
+        // Get all unique period labels from the first term that has finished
+        const firstTerm = Object.keys(data).find(term => Array.isArray(data[term]));
+        if (firstTerm) {
             data[firstTerm].forEach(point => {
                 labels.push(point.period);
             });
@@ -32,28 +49,71 @@ function TrendChart({ chartData, metric }) {
         
         // Create datasets for each search term
         Object.keys(data).forEach((term, index) => {
+            const color = colors[index % colors.length];
+            
             if (Array.isArray(data[term])) {
                 const dataset = {
                     label: term,
-                    data: data[term].map(point => {
-                        switch (metric) {
-                            case 'repositories': return point.repositoryCount;
-                            case 'prs': return point.prCount;
-                            case 'issues': return point.issueCount;
-                            default: return point.repositoryCount;
-                        }
-                    }),
-                    borderColor: colors[index % colors.length],
-                    backgroundColor: colors[index % colors.length] + '33', // Add transparency
+                    data: data[term].map(point => getMetricValue(point, metric)),
+                    borderColor: color,
+                    backgroundColor: color + '33', // Add transparency
                     tension: 0.4
                 };
                 
                 datasets.push(dataset);
+                
+                // Dashed segment from the last complete period to the projection of the period in progress
+                const lastIndex = data[term].length - 1;
+                const projected = getProjectedValue(data[term][lastIndex], metric);
+                if (projected !== undefined) {
+                    datasets.push({
+                        label: `${term} (projected)`,
+                        data: data[term].map((point, pointIndex) => {
+                            if (pointIndex === lastIndex) return projected;
+                            return pointIndex === lastIndex - 1 ? getMetricValue(point, metric) : null;
+                        }),
+                        borderColor: color,
+                        backgroundColor: color + '33',
+                        borderDash: [6, 6],
+                        pointStyle: 'rectRot',
+                        tension: 0.4
+                    });
+                }
+                
+                // Derived series in the same color, changes on their own axis
+                const derived = getDerivedSeries(data[term], dataset.data, movingAverageWindow);
+                DERIVED_SERIES.filter(series => shownDerived[series.key]).forEach(series => {
+                    datasets.push({
+                        label: series.key === 'movingAverage'
+                            ? `${term} (${movingAverageWindow}-period average)`
+                            : `${term} (${series.label.toLowerCase()} %)`,
+                        data: derived[series.key],
+                        borderColor: color + (series.percent ? '99' : 'CC'),
+                        backgroundColor: 'transparent',
+                        borderDash: series.percent ? [2, 3] : [8, 4],
+                        borderWidth: series.percent ? 1 : 2,
+                        pointRadius: series.percent ? 2 : 0,
+                        tension: 0.4,
+                        yAxisID: series.percent ? 'change' : 'y'
+                    });
+                });
+            } else {
+                // Terms still loading or failed only get a legend entry
+                const reason = data[term].loading
+                    ? 'loading…'
+                    : `failed: ${describeTermStatus(getTermDataStatus(data[term])).label.toLowerCase()}`;
+                datasets.push({
+                    label: `${term} (${reason})`,
+                    data: [],
+                    borderColor: color + '66',
+                    backgroundColor: color + '11',
+                    borderDash: [4, 4]
+                });
             }
         });
         
         // Create the chart
-        new Chart(ctx, {
+        chartRef.current = new Chart(ctx, {
             type: 'line',
             data: {
                 labels,
@@ -65,7 +125,7 @@ function TrendChart({ chartData, metric }) {
                 plugins: {
                     title: {
                         display: true,
-                        text: `${metric.charAt(0).toUpperCase() + metric.slice(1)} Over Time`,
+                        text: `${getMetricLabel(metric, shareUnit)} Over Time`,
                         font: {
                             size: 16
                         }
@@ -83,7 +143,7 @@ function TrendChart({ chartData, metric }) {
                         beginAtZero: true,
                         title: {
                             display: true,
-                            text: metric.charAt(0).toUpperCase() + metric.slice(1)
+                            text: getMetricLabel(metric, shareUnit)
                         }
                     },
                     x: {
@@ -91,6 +151,17 @@ function TrendChart({ chartData, metric }) {
                             display: true,
                             text: 'Time Period'
                         }
+                    },
+                    change: {
+                        display: showsChange,
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Change (%)'
+                        }
                     }
                 }
             }
@@ -99,34 +170,45 @@ function TrendChart({ chartData, metric }) {
 
     // Load Chart.js dynamically and render chart when data changes
     useEffect(() => {
-        if (chartData) {
-            if (!window.Chart) {
-                const script = document.createElement('script');
-                script.src = 'https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js';
-                script.async = true;
-                
-                script.onload = () => {
-                    renderChart(chartData);
-                };
-                
-                document.body.appendChild(script);
-                
-                return () => {
-                    if (document.body.contains(script)) {
-                        document.body.removeChild(script);
-                    }
-                };
-            } else {
-                renderChart(chartData);
-            }
-        }
-    }, [chartData, metric]);
+        if (!chartData) return;
+        
+        let cancelled = false;
+        loadChartJs()
+            .then(() => {
+                if (!cancelled) renderChart(chartData);
+            })
+            .catch(error => console.error('Error loading Chart.js:', error));
+        
+        return () => {
+            cancelled = true;
+            chartRef.current?.destroy();
+            chartRef.current = null;
+        };
+    }, [chartData, metric, shareUnit, movingAverageWindow, shownDerived]);
 
     return (
-        <div
-            ref={chartContainerRef}
-            className="bg-white p-4 rounded border h-96 w-full mb-4"
-        />
+        <div className="mb-4">
+            <div className="flex flex-wrap gap-4 mb-2 text-sm">
+                {DERIVED_SERIES.map(series => (
+                    <div key={series.key} className="flex items-center">
+                        <input
+                            type="checkbox"
+                            id={`derived-${metric}-${series.key}`}
+                            className="mr-2"
+                            checked={Boolean(shownDerived[series.key])}
+                            onChange={(e) => setShownDerived(current => ({ ...current, [series.key]: e.target.checked }))}
+                        />
+                        <label htmlFor={`derived-${metric}-${series.key}`}>
+                            {series.key === 'movingAverage' ? `${series.label} (${movingAverageWindow} periods)` : series.label}
+                        </label>
+                    </div>
+                ))}
+            </div>
+            <div
+                ref={chartContainerRef}
+                className="bg-white p-4 rounded border h-96 w-full"
+            />
+        </div>
     );
 }
 
@@ -1,75 +1,178 @@
 import React from 'react';
+import { getMetricValue, getProjectedValue, getTermDataStatus } from '../services/trendTrackerService';
+import { formatNumber } from '../utils';
+import { toCsvCell, downloadCsv } from '../utils/csv';
+import { isFailedStatus } from '../utils/errors';
+import TermStatus from './TermStatus';
 
 /**
  * TrendComparisonView component - Displays comparison charts for different search terms
  */
-function TrendComparisonView({ chartData, metric }) {
+function TrendComparisonView({
+    chartData,
+    metric,
+    useWindowedHIndex,
+    effectiveQueries = {},
+    onRetry,
+    isLoading,
+    baseline
+}) {
+    // Whether the values are shares of a baseline
+    const normalized = Boolean(baseline) && Object.values(chartData || {}).some(
+        termData => Array.isArray(termData) && termData[0]?.normalized
+    );
+    
+    // The period in progress, when it was included
+    const partialTerms = chartData
+        ? Object.keys(chartData).filter(term => Array.isArray(chartData[term]) && chartData[term].at(-1)?.partial)
+        : [];
+    const partialPoint = partialTerms.length > 0 ? chartData[partialTerms[0]].at(-1) : null;
+    
     // Format data for download
     const getDownloadData = () => {
         if (!chartData) return null;
         
-        const terms = Object.keys(chartData);
+        // Only terms whose series has finished loading
+        const terms = Object.keys(chartData).filter(term => Array.isArray(chartData[term]));
         if (terms.length === 0) return null;
         
+        // Show exactly what was searched when global filters changed a term, as comment
+        // lines above the column row so they aren't read as data
+        let csv = '';
+        if (terms.some(term => effectiveQueries[term] && effectiveQueries[term] !== term)) {
+            terms.forEach(term => {
+                csv += `# ${toCsvCell(`Query for ${term}: ${effectiveQueries[term] || term}`)}\n`;
+            });
+        }
+
         // Create headers
-        let csv = 'Period';
+        csv += 'Period';
         terms.forEach(term => {
-            csv += `,${term}`;
+            csv += `,${toCsvCell(term)}`;
         });
-        csv += '\n';
-        
+        if (normalized) {
+            csv += `,${toCsvCell(`Baseline (${baseline.label})`)}`;
+        }
+        csv += partialPoint ? ',Status\n' : '\n';
+
         // Get all periods from the first term
-        const periods = chartData[terms[0]].map(point => point.period);
+        const points = chartData[terms[0]];
         
-        // Add data for each period
-        periods.forEach((period, periodIndex) => {
-            csv += period;
+        // Add data for each period; the period in progress is marked in an extra column,
+        // followed by a row with its projection
+        points.forEach((point, periodIndex) => {
+            csv += toCsvCell(point.period);
             
             terms.forEach(term => {
                 const pointData = chartData[term][periodIndex];
-                let value = 0;
-                
-                switch(metric) {
-                    case 'repositories':
-                        value = pointData?.repositoryCount || 0;
-                        break;
-                    case 'prs':
-                        value = pointData?.prCount || 0;
-                        break;
-                    case 'issues':
-                        value = pointData?.issueCount || 0;
-                        break;
-                    default:
-                        value = pointData?.repositoryCount || 0;
-                }
+                const value = getMetricValue(pointData, metric) || 0;
                 
                 csv += `,${value}`;
             });
             
+            if (normalized) {
+                csv += `,${point.baselineCount ?? ''}`;
+            }
+            
+            if (partialPoint) {
+                csv += point.partial ? `,partial (${Math.round(point.elapsed * 100)}% elapsed)` : ',';
+            }
+            
             csv += '\n';
+            
+            if (point.partial && getProjectedValue(point, metric) !== undefined) {
+                csv += toCsvCell(`${point.period} (projected)`);
+                terms.forEach(term => {
+                    csv += `,${getProjectedValue(chartData[term][periodIndex], metric) ?? ''}`;
+                });
+                csv += ',projected\n';
+            }
         });
         
         return csv;
     };
     
+    // Values limited by GitHub's search cap are lower bounds
+    const hasLowerBounds = chartData && Object.values(chartData).some(
+        termData => Array.isArray(termData) && termData.some(point => point.exact === false)
+    );
+    
+    // Terms whose series couldn't be fetched
+    const failedTerms = chartData
+        ? Object.keys(chartData).filter(term => !chartData[term].loading && isFailedStatus(getTermDataStatus(chartData[term])))
+        : [];
+    
     // Handle download button click
     const handleDownload = () => {
         const csv = getDownloadData();
         if (!csv) return;
         
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.setAttribute('hidden', '');
-        a.setAttribute('href', url);
-        a.setAttribute('download', 'github-trend-data.csv');
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+        downloadCsv(csv, useWindowedHIndex
+            ? 'github-windowed-hindex.csv'
+            : normalized ? 'github-trend-share.csv' : 'github-trend-data.csv');
     };
     
     return (
         <div className="mt-6">
+            {/* Explain what the windowed H-Index measures */}
+            {useWindowedHIndex && (
+                <p className="mb-4 text-sm text-gray-600">
+                    Each point is the H-Index of the repositories created within that period only,
+                    so it reflects the quality of new work rather than its volume.
+                </p>
+            )}
+            
+            {hasLowerBounds && (
+                <p className="mb-4 text-sm text-yellow-700">
+                    Some periods have more repositories than GitHub search can return, so their values are lower bounds.
+                </p>
+            )}
+            
+            {normalized && (
+                <p className="mb-4 text-sm text-gray-600">
+                    Each value is the term's count as {baseline.shareUnit === 'per10k' ? 'a number per 10,000' : 'a percentage'} of
+                    {' '}{baseline.label} in the same period, so growth of GitHub as a whole doesn't lift every term.
+                </p>
+            )}
+            
+            {partialPoint && (
+                <div className="mb-4 text-sm text-gray-600">
+                    <p>
+                        {partialPoint.period} is still in progress ({Math.round(partialPoint.elapsed * 100)}% elapsed),
+                        so its values are partial.
+                        {getProjectedValue(partialPoint, metric) !== undefined && ' Projections are pro-rated by the elapsed days.'}
+                    </p>
+                    <ul className="mt-1">
+                        {partialTerms.map(term => {
+                            const point = chartData[term].at(-1);
+                            const projected = getProjectedValue(point, metric);
+                            return (
+                                <li key={term}>
+                                    <span className="font-medium">{term}</span>: {formatNumber(getMetricValue(point, metric) || 0)} so far
+                                    {projected !== undefined && `, ~${formatNumber(projected)} projected`}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </div>
+            )}
+            
+            {failedTerms.length > 0 && (
+                <ul className="mb-4 space-y-1">
+                    {failedTerms.map(term => (
+                        <li key={term} className="flex flex-wrap items-center gap-2">
+                            <span className="font-medium">{term}</span>
+                            <TermStatus
+                                status={getTermDataStatus(chartData[term])}
+                                error={chartData[term].error}
+                                onRetry={onRetry && (() => onRetry(term))}
+                                disabled={isLoading}
+                            />
+                        </li>
+                    ))}
+                </ul>
+            )}
+            
             {/* Download button */}
             <div className="flex justify-end mb-4">
                 <button
@@ -3,6 +3,8 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import GitHubHIndexApp from './App.jsx'
 import AuthCallback from './pages/AuthCallback.jsx'
+import RepositoryPage from './pages/RepositoryPage.jsx'
+import TermPage from './pages/TermPage.jsx'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('app')).render(
@@ -11,6 +13,8 @@ ReactDOM.createRoot(document.getElementById('app')).render(
       <Routes>
         <Route path="/" element={<GitHubHIndexApp />} />
         <Route path="/callback" element={<AuthCallback />} />
+        <Route path="/repo/:owner/:name" element={<RepositoryPage />} />
+        <Route path="/term/:term" element={<TermPage />} />
       </Routes>
     </BrowserRouter>
   </React.StrictMode>,
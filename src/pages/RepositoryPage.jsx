@@ -0,0 +1,189 @@
+import { useEffect, useState } from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import { getGitHubToken } from '../services/authService';
+import * as repositoryService from '../services/repositoryService';
+import * as urlSharingUtils from '../utils/urlSharing';
+import { formatNumber } from '../utils';
+import ErrorDisplay from '../components/ErrorDisplay';
+import ShareButton from '../components/ShareButton';
+import Footer from '../components/Footer';
+
+const formatDate = (date) => date ? new Date(date).toLocaleDateString() : 'N/A';
+
+function RepositoryPage() {
+  const { owner, name } = useParams();
+  const location = useLocation();
+  const [details, setDetails] = useState(null);
+  const [matches, setMatches] = useState(null);
+  const [error, setError] = useState(null);
+
+  // The page is opened with the search parameters of the analysis it came from
+  const settings = urlSharingUtils.parseUrlParams();
+  const fullName = `${owner}/${name}`;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const token = getGitHubToken();
+    const { searchTerm, dateLimit, globalFilters } = urlSharingUtils.parseUrlParams();
+    const searchTerms = searchTerm
+      ? searchTerm.split(';').map(term => term.trim()).filter(term => term)
+      : [];
+
+    setDetails(null);
+    setMatches(null);
+    setError(null);
+
+    const loadRepository = async () => {
+      try {
+        const repository = await repositoryService.fetchRepositoryDetails(fullName, token, { signal: controller.signal });
+        setDetails(repository);
+
+        if (searchTerms.length > 0) {
+          const termMatches = await repositoryService.getMatchingTerms(
+            fullName,
+            searchTerms,
+            dateLimit,
+            globalFilters,
+            token,
+            { signal: controller.signal }
+          );
+          setMatches(termMatches);
+        }
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Error loading repository:', err);
+        setError(err.message);
+      }
+    };
+
+    loadRepository();
+
+    return () => controller.abort();
+  }, [fullName, location.search]);
+
+  const cadence = details ? repositoryService.calculateReleaseCadence(details.releaseDates) : null;
+  const stats = details ? [
+    { label: 'Stars', value: formatNumber(details.stars) },
+    { label: 'Forks', value: formatNumber(details.forks) },
+    { label: 'Watchers', value: formatNumber(details.watchers) },
+    { label: 'Open Issues', value: formatNumber(details.openIssues) },
+    { label: 'License', value: details.license || 'None' },
+    { label: 'Primary Language', value: details.primaryLanguage || 'N/A' },
+    { label: 'Last Push', value: formatDate(details.pushedAt) },
+    { label: 'Created', value: formatDate(details.createdAt) }
+  ] : [];
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="my-4">
+        <Link to={`/${location.search}`} className="text-blue-600 hover:underline">
+          ← GitHub Trends Analysis
+        </Link>
+      </div>
+
+      <ErrorDisplay error={error} />
+
+      {!details && !error && (
+        <div className="bg-white p-6 rounded-lg shadow-md mb-6 text-center">
+          <p>Loading {fullName}…</p>
+        </div>
+      )}
+
+      {details && (
+        <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+          <h1 className="text-3xl font-bold mb-2">
+            <a
+              href={details.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-blue-600 hover:underline"
+            >
+              {details.fullName}
+            </a>
+          </h1>
+          {details.description && <p className="mb-4 text-gray-700">{details.description}</p>}
+
+          {details.topics.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-6">
+              {details.topics.map(topic => (
+                <span key={topic} className="px-2 py-1 bg-blue-100 text-blue-800 rounded-full text-xs">
+                  {topic}
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {stats.map(stat => (
+              <div key={stat.label} className="bg-gray-50 p-3 rounded">
+                <p className="text-sm text-gray-600">{stat.label}</p>
+                <p className="text-lg font-semibold">{stat.value}</p>
+              </div>
+            ))}
+          </div>
+
+          {details.languages.length > 0 && (
+            <div className="mb-6">
+              <h2 className="text-xl font-bold mb-2">Languages</h2>
+              <div className="flex h-3 rounded overflow-hidden mb-2">
+                {details.languages.map((language, index) => (
+                  <div
+                    key={language.name}
+                    style={{
+                      width: `${language.share * 100}%`,
+                      backgroundColor: language.color || `hsl(${index * 47}, 60%, 55%)`
+                    }}
+                    title={language.name}
+                  />
+                ))}
+              </div>
+              <ul className="flex flex-wrap gap-x-4 text-sm">
+                {details.languages.map(language => (
+                  <li key={language.name}>
+                    {language.name} <span className="text-gray-600">{(language.share * 100).toFixed(1)}%</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="mb-6">
+            <h2 className="text-xl font-bold mb-2">Releases</h2>
+            {cadence.latest ? (
+              <p className="text-sm">
+                {formatNumber(details.releaseCount)} releases; {cadence.lastYear} in the last year.
+                Latest on {formatDate(cadence.latest)}
+                {cadence.medianDays !== null && `, typically ${cadence.medianDays} days apart`}.
+              </p>
+            ) : (
+              <p className="text-sm text-gray-600">No published releases.</p>
+            )}
+          </div>
+
+          {matches && (
+            <div className="mb-6">
+              <h2 className="text-xl font-bold mb-2">
+                Matches {matches.filter(match => match.matched).length} of {matches.length} search terms
+              </h2>
+              <ul className="text-sm">
+                {matches.map(match => (
+                  <li key={match.term} className={match.matched ? 'text-green-700' : 'text-gray-500'}>
+                    {match.matched ? '✓' : '✗'} {match.term}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex justify-center">
+            <ShareButton settings={settings} />
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </div>
+  );
+}
+
+export default RepositoryPage;
@@ -0,0 +1,156 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import { getGitHubToken } from '../services/authService';
+import * as termAnalysisService from '../services/termAnalysisService';
+import * as trendTrackerService from '../services/trendTrackerService';
+import * as urlSharingUtils from '../utils/urlSharing';
+import { getErrorStatus } from '../utils/errors';
+import ErrorDisplay from '../components/ErrorDisplay';
+import ResultsDisplay from '../components/ResultsDisplay';
+import DistributionView from '../components/DistributionView';
+import LanguageBreakdown from '../components/LanguageBreakdown';
+import TrendChart from '../components/TrendChart';
+import TermStatus from '../components/TermStatus';
+import ShareButton from '../components/ShareButton';
+import Footer from '../components/Footer';
+
+function TermPage() {
+  const { term } = useParams();
+  const location = useLocation();
+  const [result, setResult] = useState(null);
+  const [trendData, setTrendData] = useState(null);
+  const [error, setError] = useState(null);
+  const [trendError, setTrendError] = useState(null);
+
+  // Filters come from the URL, so the page can be shared and bookmarked
+  const settings = urlSharingUtils.parseUrlParams();
+  const results = useMemo(() => result ? [result] : [], [result]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const token = getGitHubToken();
+    const { dateLimit, globalFilters, includeForks, engagementScore, startDate, endDate, granularity, windowDays, stepDays, includeCurrent } =
+      urlSharingUtils.parseUrlParams();
+
+    setResult(null);
+    setTrendData(null);
+    setError(null);
+    setTrendError(null);
+
+    const loadTerm = async () => {
+      try {
+        const termResult = await termAnalysisService.analyzeTerm(
+          term,
+          { dateLimit, globalFilters, includeForks, engagementScore },
+          token,
+          { signal: controller.signal }
+        );
+        setResult(termResult);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error(`Error analyzing term "${term}":`, err);
+        setError(err.message);
+      }
+    };
+
+    // Trends need GraphQL and therefore a token
+    const loadTrend = async () => {
+      if (!token) return;
+
+      const timeWindows = trendTrackerService.generateTimeWindows(
+        startDate,
+        endDate,
+        granularity,
+        { windowDays, stepDays },
+        includeCurrent
+      );
+
+      // Same checks as the main analysis, so an empty or oversized range fetches nothing
+      const rangeError = trendTrackerService.validateTimeWindows(timeWindows);
+      if (rangeError) {
+        setTrendError(rangeError);
+        return;
+      }
+
+      try {
+        const data = await trendTrackerService.compareSearchTerms(
+          [term],
+          timeWindows,
+          'all',
+          token,
+          globalFilters,
+          { signal: controller.signal }
+        );
+        setTrendData(data);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setTrendData({ [term]: { error: err.message, status: getErrorStatus(err) } });
+      }
+    };
+
+    loadTerm();
+    loadTrend();
+
+    return () => controller.abort();
+  }, [term, location.search]);
+
+  const filters = [
+    `created after ${settings.dateLimit}`,
+    settings.globalFilters && `filters: ${settings.globalFilters}`,
+    settings.includeForks && 'including forks'
+  ].filter(Boolean);
+  const series = trendData?.[term];
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="my-4">
+        <Link to={`/${location.search}`} className="text-blue-600 hover:underline">
+          ← GitHub Trends Analysis
+        </Link>
+      </div>
+
+      <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+        <h1 className="text-3xl font-bold mb-2">{term}</h1>
+        <p className="text-sm text-gray-600 mb-4">{filters.join(' · ')}</p>
+        <div className="flex justify-center">
+          <ShareButton settings={settings} />
+        </div>
+      </div>
+
+      <ErrorDisplay error={error} />
+      <ErrorDisplay error={trendError} />
+
+      {!result && !error && (
+        <div className="bg-white p-6 rounded-lg shadow-md mb-6 text-center">
+          <p>Analyzing {term}…</p>
+        </div>
+      )}
+
+      <ResultsDisplay results={result} />
+
+      {series && (
+        <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+          <h2 className="text-2xl font-bold mb-4">Trends</h2>
+          {Array.isArray(series) ? (
+            trendTrackerService.getSeriesMetrics(series).map(metric => (
+              <TrendChart key={metric} chartData={trendData} metric={metric} />
+            ))
+          ) : (
+            <TermStatus status={series.status} error={series.error} />
+          )}
+        </div>
+      )}
+
+      {result && (
+        <>
+          <DistributionView results={results} />
+          <LanguageBreakdown repos={result.repos} searchTerm={term} />
+        </>
+      )}
+
+      <Footer />
+    </div>
+  );
+}
+
+export default TermPage;
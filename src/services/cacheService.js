@@ -0,0 +1,249 @@
+/**
+ * Cache service - Persists GitHub API responses in IndexedDB so repeated analyses
+ * don't spend rate limit quota on data that hasn't changed
+ */
+
+const DB_NAME = 'github-trend-cache';
+const STORE_NAME = 'responses';
+const SETTINGS_KEY = 'cache_settings';
+
+/**
+ * Default time-to-live per query type, in minutes (null means never expire).
+ * Count-only responses to queries whose `created:` ranges all end before today cover
+ * closed windows; anything else, including the stars and forks of repositories found in
+ * a closed window, can still change and is treated as an open window.
+ */
+export const DEFAULT_CACHE_SETTINGS = {
+  closedWindowTtl: null,
+  openWindowTtl: 10
+};
+
+// When set, reads skip the cache but fresh responses are still stored
+let bypassCache = false;
+
+let dbPromise = null;
+
+/**
+ * Open (and create if needed) the cache database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a single request against the cache object store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Get the cache settings
+ * @returns {Object} TTLs per query type, in minutes
+ */
+export const getCacheSettings = () => {
+  try {
+    return { ...DEFAULT_CACHE_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return { ...DEFAULT_CACHE_SETTINGS };
+  }
+};
+
+/**
+ * Save the cache settings
+ * @param {Object} settings - TTLs per query type, in minutes
+ */
+export const saveCacheSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Make reads skip the cache, e.g. while refreshing an analysis
+ * @param {boolean} bypass - Whether to bypass cached responses
+ */
+export const setCacheBypass = (bypass) => {
+  bypassCache = bypass;
+};
+
+/**
+ * Hash a token, so responses are keyed per token without storing the token itself
+ * @param {string} token - Authorization header value
+ * @returns {string} 32-bit FNV-1a hash in base 36
+ */
+const hashToken = (token) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash = Math.imul(hash ^ token.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Build the cache key for a request. Keys include a hash of the token, since what a
+ * response contains (e.g. private repositories) depends on who asked.
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @returns {string|null} Cache key, or null if the request shouldn't be cached
+ */
+export const getCacheKey = (url, options = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+  const authorization = options.headers?.Authorization || options.headers?.authorization;
+  const scope = authorization ? hashToken(authorization) : 'anonymous';
+
+  if (method === 'GET') {
+    return `${scope}|${url}`;
+  }
+
+  if (method !== 'POST' || !options.body) {
+    return null;
+  }
+
+  // GraphQL: normalize whitespace in the document and key on the variables too
+  const { query, variables } = JSON.parse(options.body);
+  if (typeof query !== 'string') {
+    return null;
+  }
+
+  const normalizedVariables = variables
+    ? Object.keys(variables).sort().map(name => `${name}=${JSON.stringify(variables[name])}`).join('&')
+    : '';
+
+  return `${scope}|${url}|${query.replace(/\s+/g, ' ').trim()}|${normalizedVariables}`;
+};
+
+/**
+ * Check whether a response only carries counts (e.g. repositoryCount or total_count),
+ * without any repositories, issues or other listed items whose details keep changing
+ * @param {*} value - Parsed response body, or a part of it
+ * @returns {boolean} True if the value holds no list entries
+ */
+const isCountOnly = (value) => {
+  if (Array.isArray(value)) return value.length === 0;
+  if (value && typeof value === 'object') return Object.values(value).every(isCountOnly);
+  return true;
+};
+
+/**
+ * Determine how long a response may be cached, based on the creation ranges it covers
+ * and whether it only holds counts
+ * @param {string} key - Cache key
+ * @param {string} body - Response body
+ * @returns {number|null} TTL in milliseconds, or null to never expire
+ */
+const getTtl = (key, body) => {
+  const settings = getCacheSettings();
+  const today = new Date().toISOString().slice(0, 10);
+
+  // REST keys are URLs with an encoded search string
+  let source = key;
+  try {
+    source = decodeURIComponent(key);
+  } catch {
+    // GraphQL keys aren't encoded and may contain a stray '%'
+  }
+
+  const ranges = [...source.matchAll(/created:(\S+?)(?=[\s"&|]|$)/g)].map(match => match[1]);
+
+  // Closed windows have an explicit end date that lies in the past
+  const isClosed = ranges.length > 0 && ranges.every(range => {
+    const end = range.split('..')[1];
+    return end && end !== '*' && end < today;
+  }) && isCountOnly(JSON.parse(body));
+
+  const minutes = isClosed ? settings.closedWindowTtl : settings.openWindowTtl;
+  return minutes === null ? null : minutes * 60 * 1000;
+};
+
+/**
+ * Get a cached response body
+ * @param {string} key - Cache key
+ * @returns {Promise<string|null>} Response body, or null on a miss
+ */
+export const getCachedResponse = async (key) => {
+  if (bypassCache) return null;
+
+  try {
+    const entry = await runTransaction('readonly', store => store.get(key));
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt < Date.now()) {
+      await runTransaction('readwrite', store => store.delete(key));
+      return null;
+    }
+
+    return entry.body;
+  } catch (error) {
+    // The cache is an optimization; never let it break a request
+    console.debug('Cache read failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Store a response body in the cache
+ * @param {string} key - Cache key
+ * @param {string} body - Response body
+ */
+export const setCachedResponse = async (key, body) => {
+  try {
+    const ttl = getTtl(key, body);
+    if (ttl === 0) return;
+
+    await runTransaction('readwrite', store => store.put({
+      key,
+      body,
+      size: body.length,
+      storedAt: Date.now(),
+      expiresAt: ttl === null ? null : Date.now() + ttl
+    }));
+  } catch (error) {
+    console.debug('Cache write failed:', error);
+  }
+};
+
+/**
+ * Get the number of cached responses and their approximate size
+ * @returns {Promise<Object>} Object containing entries and bytes
+ */
+export const getCacheStats = async () => {
+  try {
+    const entries = await runTransaction('readonly', store => store.getAll());
+    return {
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+    };
+  } catch (error) {
+    console.debug('Cache stats failed:', error);
+    return { entries: 0, bytes: 0 };
+  }
+};
+
+/**
+ * Remove every cached response
+ */
+export const clearCache = async () => {
+  try {
+    await runTransaction('readwrite', store => store.clear());
+  } catch (error) {
+    console.debug('Cache clear failed:', error);
+  }
+};
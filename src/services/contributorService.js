@@ -0,0 +1,193 @@
+/**
+ * Contributor service - Fetches the contributors and commit activity of top repositories
+ * to show whether a topic is driven by a broad community or by a handful of people
+ */
+import { GitHubApiError } from '../utils/errors';
+import * as analyticsService from './analyticsService';
+import { githubFetch, sleep } from './requestService';
+import { runConcurrently } from './executionService';
+
+// Contributors are listed 100 per page, most active first
+const CONTRIBUTORS_PER_PAGE = 100;
+const MAX_CONTRIBUTOR_PAGES = 3;
+
+// GitHub computes statistics in the background and answers 202 until they are ready
+const STATS_RETRIES = 2;
+const STATS_RETRY_DELAY = 2000;
+
+// Share of all commits that the bus factor's contributors account for
+const BUS_FACTOR_SHARE = 0.5;
+
+/**
+ * Build the headers for a REST request
+ *
+ * @param {string} githubToken - Optional GitHub API token
+ * @returns {Object} - Request headers
+ */
+function getHeaders(githubToken) {
+    const headers = {
+        'Accept': 'application/vnd.github+json'
+    };
+
+    if (githubToken) {
+        headers['Authorization'] = `Bearer ${githubToken}`;
+    }
+
+    return headers;
+}
+
+/**
+ * Fetch the most active contributors of a repository
+ *
+ * @param {string} fullName - Repository name with owner (e.g. 'facebook/react')
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing contributors ({login, contributions}) and whether the list was cut off
+ */
+export async function fetchRepoContributors(fullName, githubToken, options = {}) {
+    let contributors = [];
+
+    for (let page = 1; page <= MAX_CONTRIBUTOR_PAGES; page++) {
+        const url = `https://api.github.com/repos/${fullName}/contributors?per_page=${CONTRIBUTORS_PER_PAGE}&page=${page}`;
+        const response = await githubFetch(url, { headers: getHeaders(githubToken), signal: options.signal });
+
+        // Empty repositories have no contributors
+        if (response.status === 204) break;
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            analyticsService.logError('contributors_api', `Status ${response.status}`);
+            throw new GitHubApiError(`GitHub API returned ${response.status}: ${errorText}`, { status: response.status });
+        }
+
+        const items = await response.json();
+        contributors = [...contributors, ...items.map(item => ({
+            login: item.login,
+            contributions: item.contributions
+        }))];
+        options.onProgress?.({ reposFetched: 0 });
+
+        if (items.length < CONTRIBUTORS_PER_PAGE) {
+            return { contributors, truncated: false };
+        }
+    }
+
+    return { contributors, truncated: contributors.length >= CONTRIBUTORS_PER_PAGE * MAX_CONTRIBUTOR_PAGES };
+}
+
+/**
+ * Fetch the weekly commit counts of a repository over the last year
+ *
+ * @param {string} fullName - Repository name with owner
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Array|null>} - 52 weekly commit totals, or null while GitHub is still computing them
+ */
+export async function fetchCommitActivity(fullName, githubToken, options = {}) {
+    const url = `https://api.github.com/repos/${fullName}/stats/commit_activity`;
+
+    for (let attempt = 0; attempt <= STATS_RETRIES; attempt++) {
+        const response = await githubFetch(url, { headers: getHeaders(githubToken), signal: options.signal });
+
+        if (response.status === 202) {
+            if (attempt < STATS_RETRIES) {
+                await sleep(STATS_RETRY_DELAY, options.signal);
+            }
+            continue;
+        }
+
+        if (!response.ok) {
+            console.warn(`GitHub API returned ${response.status} for ${fullName} commit activity`);
+            return null;
+        }
+
+        const weeks = await response.json();
+        options.onProgress?.({ reposFetched: 0 });
+        return Array.isArray(weeks) ? weeks.map(week => week.total) : null;
+    }
+
+    return null;
+}
+
+/**
+ * Calculate the bus factor: the smallest number of contributors who together
+ * made at least half of the commits
+ *
+ * @param {Array} contributors - Contributors ({login, contributions})
+ * @returns {number} - Bus factor, or 0 without contributors
+ */
+export function calculateBusFactor(contributors) {
+    const counts = contributors.map(contributor => contributor.contributions).sort((a, b) => b - a);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+
+    let covered = 0;
+    for (let i = 0; i < counts.length; i++) {
+        covered += counts[i];
+        if (covered >= total * BUS_FACTOR_SHARE) {
+            return i + 1;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Analyze the contributors of a list of repositories
+ *
+ * @param {Array} repos - Repositories to analyze (REST API format)
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing per-repository results and the unique contributor logins.
+ *                               The bus factor of a repository whose contributor list was cut off is a
+ *                               lower bound (busFactorExact false), since the missing commits add to the total.
+ */
+export async function analyzeContributors(repos, githubToken, options = {}) {
+    const outcomes = await runConcurrently(repos, async repo => {
+        const [{ contributors, truncated }, weeklyCommits] = await Promise.all([
+            fetchRepoContributors(repo.full_name, githubToken, options),
+            fetchCommitActivity(repo.full_name, githubToken, options)
+        ]);
+
+        return {
+            fullName: repo.full_name,
+            url: repo.html_url,
+            contributors,
+            contributorCount: contributors.length,
+            truncated,
+            busFactor: calculateBusFactor(contributors),
+            busFactorExact: !truncated,
+            commitsLastYear: weeklyCommits ? weeklyCommits.reduce((sum, count) => sum + count, 0) : null
+        };
+    }, { signal: options.signal });
+
+    options.signal?.throwIfAborted();
+
+    const repoResults = outcomes.map((outcome, index) => outcome.status === 'fulfilled'
+        ? outcome.value
+        : { fullName: repos[index].full_name, url: repos[index].html_url, error: outcome.reason.message });
+
+    const logins = new Set(repoResults.flatMap(result => (result.contributors || []).map(contributor => contributor.login)));
+
+    return {
+        repos: repoResults,
+        logins: [...logins]
+    };
+}
+
+/**
+ * Calculate how many contributors two sets of logins share
+ *
+ * @param {Array} loginsA - Contributor logins of the first term
+ * @param {Array} loginsB - Contributor logins of the second term
+ * @returns {Object} - Object containing shared (count) and jaccard (0 to 1)
+ */
+export function calculateContributorOverlap(loginsA, loginsB) {
+    const setB = new Set(loginsB);
+    const shared = loginsA.filter(login => setB.has(login)).length;
+    const union = new Set([...loginsA, ...loginsB]).size;
+
+    return {
+        shared,
+        jaccard: union === 0 ? 0 : shared / union
+    };
+}
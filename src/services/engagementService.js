@@ -0,0 +1,162 @@
+/**
+ * Engagement service - H-Index over issues, pull requests and discussions, scored by
+ * reactions, comments or upvotes, to measure community engagement around a search term
+ */
+import { calculateHIndex } from '../utils';
+import { GitHubApiError } from '../utils/errors';
+import { runGraphQL } from './requestService';
+import { SEARCH_RESULT_LIMIT } from './searchPartitioner';
+
+// Search settings per item kind
+const ENGAGEMENT_KINDS = {
+    issues: {
+        type: 'ISSUE',
+        qualifier: 'is:issue',
+        fragment: '... on Issue { id title url reactions { totalCount } comments { totalCount } }'
+    },
+    pullRequests: {
+        type: 'ISSUE',
+        qualifier: 'is:pr',
+        fragment: '... on PullRequest { id title url reactions { totalCount } comments { totalCount } }'
+    },
+    discussions: {
+        type: 'DISCUSSION',
+        qualifier: '',
+        fragment: '... on Discussion { id title url upvoteCount comments { totalCount } }'
+    }
+};
+
+// Number of top items kept for display
+const TOP_ITEM_COUNT = 5;
+
+/**
+ * Build the search document for an item kind
+ *
+ * @param {Object} kind - Item kind settings
+ * @returns {string} - GraphQL document
+ */
+function buildEngagementQuery(kind) {
+    return `
+query EngagementSearch($query: String!, $after: String) {
+  search(query: $query, type: ${kind.type}, first: 100, after: $after) {
+    issueCount
+    discussionCount
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    nodes {
+      ${kind.fragment}
+    }
+  }
+}`;
+}
+
+/**
+ * Get the engagement score of a search result node
+ *
+ * @param {Object} node - Issue, pull request or discussion node
+ * @param {string} score - Score to use ('reactions', 'comments' or 'upvotes')
+ * @returns {number} - Score of the item
+ */
+function getScore(node, score) {
+    if (score === 'upvotes') return node.upvoteCount || 0;
+    if (score === 'reactions') return node.reactions?.totalCount || 0;
+    return node.comments?.totalCount || 0;
+}
+
+/**
+ * Calculate the H-Index of the issues, pull requests or discussions matching a search term.
+ * Issues and pull requests are searched sorted by the score, so fetching stops as soon as the
+ * H-Index is known; discussions can't be sorted that way and are fetched up to the search cap.
+ *
+ * @param {string} searchTerm - Search term
+ * @param {string} dateLimit - Date limit for item creation
+ * @param {string} kindName - Item kind ('issues', 'pullRequests' or 'discussions')
+ * @param {string} score - Score to rank by ('reactions' or 'comments'; discussions always use 'upvotes')
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing hIndex, exact, score, totalCount, fetched and topItems
+ */
+export async function fetchEngagementHIndex(searchTerm, dateLimit, kindName, score, githubToken, options = {}) {
+    if (!githubToken) {
+        throw new GitHubApiError('GitHub token is required for the engagement H-Index', { status: 401 });
+    }
+
+    const kind = ENGAGEMENT_KINDS[kindName];
+    const itemScore = kindName === 'discussions' ? 'upvotes' : score;
+    const sorted = kindName !== 'discussions';
+    const searchQuery = [
+        searchTerm,
+        kind.qualifier,
+        `created:>${dateLimit}`,
+        sorted ? `sort:${itemScore}-desc` : ''
+    ].filter(part => part).join(' ');
+
+    let items = [];
+    let hasNextPage = true;
+    let endCursor = null;
+    let totalCount = 0;
+
+    while (hasNextPage) {
+        const data = await runGraphQL(
+            buildEngagementQuery(kind),
+            { query: searchQuery, after: endCursor },
+            githubToken,
+            { signal: options.signal, context: 'engagement' }
+        );
+
+        const searchData = data.search;
+        totalCount = kind.type === 'DISCUSSION' ? searchData.discussionCount : searchData.issueCount;
+
+        const page = searchData.nodes
+            .filter(node => node.id)
+            .map(node => ({
+                id: node.id,
+                title: node.title,
+                url: node.url,
+                score: getScore(node, itemScore)
+            }));
+
+        items = [...items, ...page];
+        options.onProgress?.({ reposFetched: 0 });
+
+        hasNextPage = searchData.pageInfo.hasNextPage;
+        endCursor = searchData.pageInfo.endCursor;
+
+        // Sorted results: every further item scores at most as much as the last one fetched
+        if (items.length >= SEARCH_RESULT_LIMIT || (sorted && calculateHIndex(items, 'score') < items.length)) {
+            break;
+        }
+    }
+
+    const hIndex = calculateHIndex(items, 'score');
+
+    return {
+        hIndex,
+        exact: items.length >= totalCount || (sorted && hIndex < items.length),
+        score: itemScore,
+        totalCount,
+        fetched: items.length,
+        topItems: [...items].sort((a, b) => b.score - a.score).slice(0, TOP_ITEM_COUNT)
+    };
+}
+
+/**
+ * Calculate the issue, pull request and discussion H-Index of a search term
+ *
+ * @param {string} searchTerm - Search term
+ * @param {string} dateLimit - Date limit for item creation
+ * @param {string} score - Score for issues and pull requests ('reactions' or 'comments')
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing issues, pullRequests and discussions results
+ */
+export async function fetchEngagement(searchTerm, dateLimit, score, githubToken, options = {}) {
+    const kinds = Object.keys(ENGAGEMENT_KINDS);
+    const results = await Promise.all(kinds.map(kindName =>
+        fetchEngagementHIndex(searchTerm, dateLimit, kindName, score, githubToken, options)
+    ));
+
+    return Object.fromEntries(kinds.map((kindName, index) => [kindName, results[index]]));
+}
@@ -0,0 +1,66 @@
+/**
+ * Execution service - Runs independent analyses (e.g. one per search term) with bounded
+ * concurrency, backing off to a single lane when the API quota runs low
+ */
+import { getRateLimitState } from './requestService';
+
+// Number of items processed at the same time by default
+export const DEFAULT_CONCURRENCY = 3;
+
+// Below this many GraphQL points (or search requests) only one lane keeps running
+const LOW_GRAPHQL_QUOTA = 200;
+const LOW_SEARCH_QUOTA = 5;
+
+/**
+ * Check whether the known rate limit quota is too low to run requests side by side
+ *
+ * @returns {boolean} - True if extra lanes should stop picking up work
+ */
+function isQuotaLow() {
+    const { graphql, search } = getRateLimitState();
+
+    return (graphql?.remaining ?? Infinity) < LOW_GRAPHQL_QUOTA ||
+        (search?.remaining ?? Infinity) < LOW_SEARCH_QUOTA;
+}
+
+/**
+ * Run a worker over a list of items with bounded concurrency.
+ * Failures don't stop the other items; once the signal is aborted no new items are started
+ * and items interrupted by the abort are left without a result.
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {Object} options - Execution options
+ * @param {number} options.concurrency - Maximum number of items processed at once
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @param {Function} options.onSettled - Optional callback with (result, index) as soon as each item finishes
+ * @returns {Promise<Array>} - Per-item results in input order, shaped like Promise.allSettled
+ *                             ({status, value} or {status, reason}); undefined for skipped items
+ */
+export async function runConcurrently(items, worker, { concurrency = DEFAULT_CONCURRENCY, signal, onSettled } = {}) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runLane = async (lane) => {
+        while (nextIndex < items.length && !signal?.aborted) {
+            // The first lane always continues, so work finishes even on a low quota
+            if (lane > 0 && isQuotaLow()) return;
+
+            const index = nextIndex++;
+
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (error) {
+                if (signal?.aborted) return;
+                results[index] = { status: 'rejected', reason: error };
+            }
+
+            onSettled?.(results[index], index);
+        }
+    };
+
+    const laneCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: laneCount }, (_, lane) => runLane(lane)));
+
+    return results;
+}
@@ -3,7 +3,46 @@
  */
 import { calculateHIndex } from '../utils';
 import * as analyticsService from './analyticsService';
+import { githubFetch, runGraphQL } from './requestService';
 import { getGitHubToken } from './authService';
+import { addDays, fetchExactHIndex } from './searchPartitioner';
+import { buildAliasedSearchQuery } from '../utils/graphql';
+import { GitHubApiError } from '../utils/errors';
+
+const ENTITY_REPOSITORIES_QUERY = `
+query EntityRepositories($login: String!, $after: String, $isFork: Boolean) {
+  repositoryOwner(login: $login) {
+    repositories(first: 100, after: $after, ownerAffiliations: OWNER, isFork: $isFork,
+                 orderBy: {field: STARGAZERS, direction: DESC}) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        name
+        owner {
+          login
+        }
+        nameWithOwner
+        url
+        stargazerCount
+        forkCount
+        createdAt
+        primaryLanguage {
+          name
+        }
+        repositoryTopics(first: 10) {
+          nodes {
+            topic {
+              name
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
 
 /**
  * Fetch repositories and calculate H-Index using GraphQL or REST API
@@ -13,9 +52,10 @@ import { getGitHubToken } from './authService';
  * @param {string} property - Property to calculate H-Index on ('stargazers_count' or 'forks_count')
  * @param {string} sortParam - GitHub API sort parameter ('stars' or 'forks')
  * @param {string} githubToken - Optional GitHub API token
- * @returns {Object} - Object containing H-Index, repositories, and fetch details
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Object} - Object containing H-Index, repositories, fetch details and whether the H-Index is exact
  */
-export async function fetchAndCalculateHIndex(searchTerm, dateLimit, property, sortParam, githubToken) {
+export async function fetchAndCalculateHIndex(searchTerm, dateLimit, property, sortParam, githubToken, options = {}) {
     // Use GraphQL if token is available, otherwise fall back to REST
     const startTime = performance.now();
     let result;
@@ -26,9 +66,9 @@ export async function fetchAndCalculateHIndex(searchTerm, dateLimit, property, s
     
     try {
         if (token) {
-            result = await fetchAndCalculateHIndexGraphQL(searchTerm, dateLimit, property, token);
+            result = await fetchAndCalculateHIndexGraphQL(searchTerm, dateLimit, property, token, options);
         } else {
-            result = await fetchAndCalculateHIndexREST(searchTerm, dateLimit, property, sortParam);
+            result = await fetchAndCalculateHIndexREST(searchTerm, dateLimit, property, sortParam, options);
         }
     } catch (error) {
         success = false;
@@ -50,136 +90,31 @@ export async function fetchAndCalculateHIndex(searchTerm, dateLimit, property, s
  * @param {string} dateLimit - Date limit for repository creation
  * @param {string} property - Property to calculate H-Index on ('stargazerCount' or 'forkCount')
  * @param {string} githubToken - GitHub API token
- * @returns {Object} - Object containing H-Index, repositories, and fetch details
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Object} - Object containing H-Index, repositories, fetch details and whether the H-Index is exact
  */
-export async function fetchAndCalculateHIndexGraphQL(searchTerm, dateLimit, property, githubToken) {
-    // Map REST API property names to GraphQL property names
-    const propertyMap = {
-        'stargazers_count': 'stargazerCount',
-        'forks_count': 'forkCount'
+export async function fetchAndCalculateHIndexGraphQL(searchTerm, dateLimit, property, githubToken, options = {}) {
+    // Repositories created after the date limit, up to today
+    const partitionOptions = {
+        createdFrom: addDays(dateLimit, 1),
+        createdTo: new Date().toISOString().slice(0, 10)
     };
     
-    const graphqlProperty = propertyMap[property] || property;
-    
-    // Build the sort argument based on the property
-    const sortField = graphqlProperty === 'stargazerCount' ? 'STARS' : 'FORKS';
-    
-    let allRepos = [];
-    let hasNextPage = true;
-    let endCursor = null;
-    let totalCount = 0;
-    
-    // GraphQL API endpoint
-    const url = 'https://api.github.com/graphql';
-    
-    while (hasNextPage) {
-        // Construct the pagination part of the query
-        const afterClause = endCursor ? `, after: "${endCursor}"` : '';
-        
-        // Build the GraphQL query
-        const query = `
-        query {
-          search(
-            query: "${searchTerm} created:>${dateLimit}"
-            type: REPOSITORY
-            first: 100
-            ${afterClause}
-          ) {
-            repositoryCount
-            pageInfo {
-              hasNextPage
-              endCursor
-            }
-            nodes {
-              ... on Repository {
-                id
-                name
-                owner {
-                  login
-                }
-                nameWithOwner
-                url
-                stargazerCount
-                forkCount
-                createdAt
-              }
-            }
-          }
-        }`;
+    try {
+        const result = await fetchExactHIndex(searchTerm, partitionOptions, property, githubToken, options);
         
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${githubToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ query })
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                analyticsService.logError('graphql_api', `Status ${response.status}`);
-                throw new Error(`GitHub GraphQL API returned ${response.status}: ${errorText}`);
-            }
-            
-            const result = await response.json();
-            
-            if (result.errors) {
-                analyticsService.logError('graphql_error', result.errors[0].message);
-                throw new Error(`GraphQL Error: ${result.errors[0].message}`);
-            }
-            
-            const searchData = result.data.search;
-            totalCount = searchData.repositoryCount;
-            
-            // Transform GraphQL data to match the REST API format
-            const repos = searchData.nodes.map(node => ({
-                id: node.id,
-                name: node.name,
-                full_name: node.nameWithOwner,
-                html_url: node.url,
-                stargazers_count: node.stargazerCount,
-                forks_count: node.forkCount,
-                // Add other fields for compatibility with the REST API format
-                owner: {
-                    login: node.owner.login
-                },
-                created_at: node.createdAt
-            }));
-            
-            allRepos = [...allRepos, ...repos];
-            
-            // Update pagination info for next iteration
-            hasNextPage = searchData.pageInfo.hasNextPage;
-            endCursor = searchData.pageInfo.endCursor;
-            
-            // Calculate current H-Index with the repositories we have so far
-            const currentHIndex = calculateHIndex(allRepos, property);
-            
-            // Stop fetching more data if we've fetched enough to determine the H-Index
-            if (allRepos.length >= currentHIndex * 3 && allRepos.length >= 100) {
-                // We've likely found the true H-Index
-                break;
-            }
-            
-            // Limit to a reasonable number of pages to avoid excessive API usage
-            if (allRepos.length >= 500) {
-                break;
-            }
-        } catch (error) {
-            console.error('GraphQL fetch error:', error);
-            analyticsService.logError('graphql_fetch', error.message);
-            throw error;
-        }
+        return {
+            hIndex: result.hIndex,
+            repos: result.repos,
+            totalItems: result.totalCount,
+            totalFetched: result.repos.length,
+            exact: result.exact
+        };
+    } catch (error) {
+        console.error('GraphQL fetch error:', error);
+        analyticsService.logError('graphql_fetch', error.message);
+        throw error;
     }
-    
-    return {
-        hIndex: calculateHIndex(allRepos, property),
-        repos: allRepos,
-        totalItems: totalCount,
-        totalFetched: allRepos.length
-    };
 }
 
 /**
@@ -189,9 +124,10 @@ export async function fetchAndCalculateHIndexGraphQL(searchTerm, dateLimit, prop
  * @param {string} dateLimit - Date limit for repository creation
  * @param {string} property - Property to calculate H-Index on ('stargazers_count' or 'forks_count')
  * @param {string} sortParam - GitHub API sort parameter ('stars' or 'forks')
+ * @param {Object} options - Optional request options ({signal, onProgress})
  * @returns {Object} - Object containing H-Index, repositories, and fetch details
  */
-export async function fetchAndCalculateHIndexREST(searchTerm, dateLimit, property, sortParam) {
+export async function fetchAndCalculateHIndexREST(searchTerm, dateLimit, property, sortParam, options = {}) {
     let repos = [];
     let page = 1;
     let currentHIndex = 0;
@@ -208,16 +144,17 @@ export async function fetchAndCalculateHIndexREST(searchTerm, dateLimit, propert
             'Accept': 'application/vnd.github+json'
         };
         
-        const response = await fetch(url, { headers });
+        const response = await githubFetch(url, { headers, signal: options.signal });
         
         if (!response.ok) {
             const errorText = await response.text();
             analyticsService.logError('rest_api', `Status ${response.status}`);
-            throw new Error(`GitHub API returned ${response.status}: ${errorText}`);
+            throw new GitHubApiError(`GitHub API returned ${response.status}: ${errorText}`, { status: response.status });
         }
         
         const data = await response.json();
         totalItems = data.total_count;
+        options.onProgress?.({ reposFetched: data.items?.length || 0 });
         
         if (data.items && data.items.length > 0) {
             repos = [...repos, ...data.items];
@@ -254,69 +191,211 @@ export async function fetchAndCalculateHIndexREST(searchTerm, dateLimit, propert
         hIndex: currentHIndex,
         repos,
         totalItems,
-        totalFetched: Math.min(totalItems, repos.length)
+        totalFetched: Math.min(totalItems, repos.length),
+        // Results are sorted, so the H-Index is exact unless every fetched repository qualified
+        exact: currentHIndex < repos.length || repos.length >= totalItems
+    };
+}
+
+/**
+ * Fetch every repository owned by a GitHub user or organization
+ * 
+ * @param {Object} entity - Entity to fetch ({type: 'user' or 'org', login})
+ * @param {Object} filters - Repository filters
+ * @param {boolean} filters.includeForks - Whether to include forked repositories
+ * @param {string} filters.dateLimit - Only include repositories created after this date
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Object} - Object containing repos (REST API format) and totalCount
+ */
+export async function fetchEntityRepositories(entity, { includeForks = false, dateLimit = null }, githubToken, options = {}) {
+    const repos = githubToken
+        ? await fetchEntityRepositoriesGraphQL(entity, includeForks, githubToken, options)
+        : await fetchEntityRepositoriesREST(entity, includeForks, options);
+    
+    const filtered = dateLimit
+        ? repos.filter(repo => repo.created_at.slice(0, 10) > dateLimit)
+        : repos;
+    
+    return {
+        repos: filtered,
+        totalCount: filtered.length
     };
 }
 
+/**
+ * Page through an entity's repositories using the GraphQL API
+ * 
+ * @param {Object} entity - Entity to fetch ({type, login})
+ * @param {boolean} includeForks - Whether to include forked repositories
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Array} - Repositories in REST API format
+ */
+async function fetchEntityRepositoriesGraphQL(entity, includeForks, githubToken, options) {
+    let repos = [];
+    let hasNextPage = true;
+    let endCursor = null;
+    
+    while (hasNextPage) {
+        const data = await runGraphQL(
+            ENTITY_REPOSITORIES_QUERY,
+            // A null isFork returns forks and non-forks alike
+            { login: entity.login, after: endCursor, isFork: includeForks ? null : false },
+            githubToken,
+            { signal: options.signal, context: 'entity' }
+        );
+        
+        if (!data.repositoryOwner) {
+            throw new GitHubApiError(`No GitHub ${entity.type} named "${entity.login}"`, { status: 404 });
+        }
+        
+        const { nodes, pageInfo } = data.repositoryOwner.repositories;
+        
+        // Transform GraphQL data to match the REST API format
+        const page = nodes.map(node => ({
+            id: node.id,
+            name: node.name,
+            full_name: node.nameWithOwner,
+            html_url: node.url,
+            stargazers_count: node.stargazerCount,
+            forks_count: node.forkCount,
+            owner: {
+                login: node.owner.login
+            },
+            created_at: node.createdAt,
+            language: node.primaryLanguage?.name || null,
+            topics: node.repositoryTopics.nodes.map(topicNode => topicNode.topic.name)
+        }));
+        
+        repos = [...repos, ...page];
+        options.onProgress?.({ reposFetched: page.length });
+        
+        hasNextPage = pageInfo.hasNextPage;
+        endCursor = pageInfo.endCursor;
+    }
+    
+    return repos;
+}
+
+/**
+ * Page through an entity's repositories using the REST API (fallback method)
+ * 
+ * @param {Object} entity - Entity to fetch ({type, login})
+ * @param {boolean} includeForks - Whether to include forked repositories
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Array} - Repositories
+ */
+async function fetchEntityRepositoriesREST(entity, includeForks, options) {
+    let repos = [];
+    let page = 1;
+    let hasMoreRepos = true;
+    const perPage = 100; // Maximum allowed by GitHub API
+    
+    while (hasMoreRepos) {
+        const url = `https://api.github.com/users/${encodeURIComponent(entity.login)}/repos?type=owner&per_page=${perPage}&page=${page}`;
+        
+        const response = await githubFetch(url, {
+            headers: { 'Accept': 'application/vnd.github+json' },
+            signal: options.signal
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            analyticsService.logError('entity_rest_api', `Status ${response.status}`);
+            throw new GitHubApiError(`GitHub API returned ${response.status}: ${errorText}`, { status: response.status });
+        }
+        
+        const items = await response.json();
+        repos = [...repos, ...items.filter(repo => includeForks || !repo.fork)];
+        options.onProgress?.({ reposFetched: items.length });
+        
+        hasMoreRepos = items.length === perPage;
+        page++;
+    }
+    
+    return repos;
+}
+
 /**
  * Get multiple metrics in a single GraphQL query
  * 
  * @param {string} searchTerm - Search term
  * @param {string} dateLimit - Date limit for item creation
  * @param {string} githubToken - GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
  * @returns {Object} - Object containing various counts and metrics
  */
-export async function getMetricsWithGraphQL(searchTerm, dateLimit, githubToken) {
+export async function getMetricsWithGraphQL(searchTerm, dateLimit, githubToken, options = {}) {
     if (!githubToken) {
         return null; // GraphQL requires a token
     }
     
-    const query = `
-    query {
-      repositories: search(query: "${searchTerm} created:>${dateLimit}", type: REPOSITORY, first: 0) {
-        repositoryCount
-      }
-      pullRequests: search(query: "${searchTerm} created:>${dateLimit} is:pr", type: ISSUE, first: 0) {
-        issueCount
-      }
-      discussions: search(query: "${searchTerm} created:>${dateLimit}", type: DISCUSSION, first: 0) {
-        discussionCount
-      }
-    }`;
+    const baseQuery = `${searchTerm} created:>${dateLimit}`;
+    const { query, variables } = buildAliasedSearchQuery('SearchMetrics', [
+        { alias: 'repositories', query: baseQuery, type: 'REPOSITORY', selection: 'repositoryCount' },
+        { alias: 'pullRequests', query: `${baseQuery} is:pr`, type: 'ISSUE', selection: 'issueCount' },
+        { alias: 'discussions', query: baseQuery, type: 'DISCUSSION', selection: 'discussionCount' }
+    ]);
     
     try {
-        const response = await fetch('https://api.github.com/graphql', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${githubToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ query })
-        });
-        
-        if (!response.ok) {
-            console.warn(`GitHub GraphQL API returned ${response.status}`);
-            return null;
-        }
-        
-        const data = await response.json();
-        
-        if (data.errors) {
-            console.warn('GraphQL errors:', data.errors);
-            return null;
-        }
+        const data = await runGraphQL(query, variables, githubToken, { signal: options.signal, context: 'metrics' });
         
         return {
-            totalRepos: data.data.repositories.repositoryCount,
-            totalPRs: data.data.pullRequests.issueCount,
-            totalDiscussions: data.data.discussions.discussionCount
+            totalRepos: data.repositories.repositoryCount,
+            totalPRs: data.pullRequests.issueCount,
+            totalDiscussions: data.discussions.discussionCount
         };
     } catch (error) {
+        // Cancellation must reach the caller instead of looking like missing data
+        if (options.signal?.aborted) throw error;
         console.error('Error fetching metrics with GraphQL:', error);
         return null;
     }
 }
 
+/**
+ * Count the repositories with at least each threshold of stars and of forks in a single GraphQL query
+ * 
+ * @param {string} searchTerm - Search term
+ * @param {string} dateLimit - Date limit for repository creation
+ * @param {Array} thresholds - Minimum values to count (e.g. [10, 100])
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Object|null} - Counts per threshold keyed by property
+ *                          (e.g. {stargazers_count: {10: 420, 100: 37}, forks_count: {...}}), or null
+ */
+export async function getThresholdCounts(searchTerm, dateLimit, thresholds, githubToken, options = {}) {
+    if (!githubToken) {
+        return null; // GraphQL requires a token
+    }
+    
+    const qualifiers = { stargazers_count: 'stars', forks_count: 'forks' };
+    const searches = Object.values(qualifiers).flatMap(qualifier => thresholds.map(threshold => ({
+        alias: `${qualifier}${threshold}`,
+        query: `${searchTerm} created:>${dateLimit} ${qualifier}:>=${threshold}`,
+        type: 'REPOSITORY',
+        selection: 'repositoryCount'
+    })));
+    const { query, variables } = buildAliasedSearchQuery('ThresholdCounts', searches);
+    
+    try {
+        const data = await runGraphQL(query, variables, githubToken, { signal: options.signal, context: 'threshold' });
+        
+        return Object.fromEntries(Object.entries(qualifiers).map(([property, qualifier]) => [
+            property,
+            Object.fromEntries(thresholds.map(threshold => [
+                threshold,
+                data[`${qualifier}${threshold}`].repositoryCount
+            ]))
+        ]));
+    } catch (error) {
+        if (options.signal?.aborted) throw error;
+        console.error('Error fetching threshold counts with GraphQL:', error);
+        return null;
+    }
+}
+
 /**
  * Get total count of items matching the search query for different GitHub item types
  * Using REST API as fallback when no token is available
@@ -325,9 +404,10 @@ export async function getMetricsWithGraphQL(searchTerm, dateLimit, githubToken)
  * @param {string} dateLimit - Date limit for item creation
  * @param {string} itemType - Type of GitHub items to search ('repositories', 'issues', 'discussions')
  * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
  * @returns {number} - Total count of matching items
  */
-export async function getTotalCount(searchTerm, dateLimit, itemType, githubToken) {
+export async function getTotalCount(searchTerm, dateLimit, itemType, githubToken, options = {}) {
     const query = encodeURIComponent(`${searchTerm} created:>${dateLimit}`);
     
     // For discussions, we need the GraphQL API which requires a token
@@ -337,40 +417,22 @@ export async function getTotalCount(searchTerm, dateLimit, itemType, githubToken
         }
         
         try {
-            const graphqlUrl = 'https://api.github.com/graphql';
-            const graphqlQuery = {
-                query: `
-                query {
-                    search(query: "${searchTerm} created:>${dateLimit}", type: DISCUSSION, first: 0) {
+            const data = await runGraphQL(
+                `
+                query DiscussionCount($query: String!) {
+                    search(query: $query, type: DISCUSSION, first: 0) {
                         discussionCount
                     }
                 }
-                `
-            };
-            
-            const response = await fetch(graphqlUrl, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${githubToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(graphqlQuery)
-            });
-            
-            if (!response.ok) {
-                console.warn(`GitHub GraphQL API returned ${response.status} for discussions count`);
-                return 0;
-            }
-            
-            const data = await response.json();
-            
-            if (data.errors) {
-                console.warn('GraphQL errors:', data.errors);
-                return 0;
-            }
+                `,
+                { query: `${searchTerm} created:>${dateLimit}` },
+                githubToken,
+                { signal: options.signal, context: 'discussion_count' }
+            );
             
-            return data.data?.search?.discussionCount || 0;
+            return data?.search?.discussionCount || 0;
         } catch (error) {
+            if (options.signal?.aborted) throw error;
             console.error('Error fetching discussions count with GraphQL:', error);
             return 0;
         }
@@ -394,7 +456,7 @@ export async function getTotalCount(searchTerm, dateLimit, itemType, githubToken
                 headers['Authorization'] = `Bearer ${githubToken}`;
             }
             
-            const response = await fetch(url, { headers });
+            const response = await githubFetch(url, { headers, signal: options.signal });
             
             if (!response.ok) {
                 console.warn(`GitHub API returned ${response.status} for ${itemType} count`);
@@ -404,6 +466,7 @@ export async function getTotalCount(searchTerm, dateLimit, itemType, githubToken
             const data = await response.json();
             return data.total_count || 0;
         } catch (error) {
+            if (options.signal?.aborted) throw error;
             console.error(`Error fetching ${itemType} count:`, error);
             analyticsService.logError('count_fetch', `${itemType}: ${error.message}`);
             return 0;
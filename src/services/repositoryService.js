@@ -0,0 +1,263 @@
+/**
+ * Repository service - Full metadata of a single repository for the drill-down page
+ */
+import { GitHubApiError } from '../utils/errors';
+import { buildAliasedSearchQuery } from '../utils/graphql';
+import { applyGlobalFilters } from '../utils/searchQualifiers';
+import * as analyticsService from './analyticsService';
+import { githubFetch, runGraphQL } from './requestService';
+
+// Number of most recent releases used for the release cadence
+const RELEASE_COUNT = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const REPOSITORY_DETAILS_QUERY = `
+query RepositoryDetails($owner: String!, $name: String!) {
+  repository(owner: $owner, name: $name) {
+    nameWithOwner
+    url
+    description
+    stargazerCount
+    forkCount
+    watchers {
+      totalCount
+    }
+    issues(states: OPEN) {
+      totalCount
+    }
+    licenseInfo {
+      name
+    }
+    repositoryTopics(first: 20) {
+      nodes {
+        topic {
+          name
+        }
+      }
+    }
+    primaryLanguage {
+      name
+    }
+    languages(first: 10, orderBy: {field: SIZE, direction: DESC}) {
+      totalSize
+      edges {
+        size
+        node {
+          name
+          color
+        }
+      }
+    }
+    createdAt
+    pushedAt
+    releases(first: ${RELEASE_COUNT}, orderBy: {field: CREATED_AT, direction: DESC}) {
+      totalCount
+      nodes {
+        publishedAt
+      }
+    }
+  }
+}`;
+
+/**
+ * Fetch the details of a repository using the GraphQL API
+ *
+ * @param {string} fullName - Repository name with owner (e.g. 'facebook/react')
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Repository details
+ */
+async function fetchRepositoryDetailsGraphQL(fullName, githubToken, options) {
+    const [owner, name] = fullName.split('/');
+    let data;
+    try {
+        data = await runGraphQL(REPOSITORY_DETAILS_QUERY, { owner, name }, githubToken, {
+            signal: options.signal,
+            context: 'repository'
+        });
+    } catch (error) {
+        // A missing repository is reported as a NOT_FOUND error
+        if (error.type !== 'NOT_FOUND') throw error;
+    }
+
+    const repository = data?.repository;
+    if (!repository) {
+        throw new GitHubApiError(`No repository named "${fullName}"`, { status: 404 });
+    }
+
+    const { totalSize, edges } = repository.languages;
+
+    return {
+        fullName: repository.nameWithOwner,
+        url: repository.url,
+        description: repository.description,
+        stars: repository.stargazerCount,
+        forks: repository.forkCount,
+        watchers: repository.watchers.totalCount,
+        openIssues: repository.issues.totalCount,
+        license: repository.licenseInfo?.name || null,
+        topics: repository.repositoryTopics.nodes.map(node => node.topic.name),
+        primaryLanguage: repository.primaryLanguage?.name || null,
+        languages: edges.map(edge => ({
+            name: edge.node.name,
+            color: edge.node.color,
+            share: totalSize ? edge.size / totalSize : 0
+        })),
+        createdAt: repository.createdAt,
+        pushedAt: repository.pushedAt,
+        releaseCount: repository.releases.totalCount,
+        releaseDates: repository.releases.nodes.map(node => node.publishedAt).filter(date => date)
+    };
+}
+
+/**
+ * Fetch a REST API URL and parse its JSON body
+ *
+ * @param {string} url - GitHub API URL
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Response body
+ */
+async function fetchJson(url, options) {
+    const response = await githubFetch(url, {
+        headers: { 'Accept': 'application/vnd.github+json' },
+        signal: options.signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        analyticsService.logError('repository_api', `Status ${response.status}`);
+        throw new GitHubApiError(`GitHub API returned ${response.status}: ${errorText}`, { status: response.status });
+    }
+
+    return response.json();
+}
+
+/**
+ * Fetch the details of a repository using the REST API (no token required)
+ *
+ * @param {string} fullName - Repository name with owner
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Repository details
+ */
+async function fetchRepositoryDetailsREST(fullName, options) {
+    const baseUrl = `https://api.github.com/repos/${fullName}`;
+    const [repo, languageBytes, releases] = await Promise.all([
+        fetchJson(baseUrl, options),
+        fetchJson(`${baseUrl}/languages`, options),
+        fetchJson(`${baseUrl}/releases?per_page=${RELEASE_COUNT}`, options)
+    ]);
+
+    const totalSize = Object.values(languageBytes).reduce((sum, bytes) => sum + bytes, 0);
+
+    return {
+        fullName: repo.full_name,
+        url: repo.html_url,
+        description: repo.description,
+        stars: repo.stargazers_count,
+        forks: repo.forks_count,
+        // watchers_count mirrors the star count; subscribers are the actual watchers
+        watchers: repo.subscribers_count,
+        // The REST count includes open pull requests
+        openIssues: repo.open_issues_count,
+        license: repo.license?.name || null,
+        topics: repo.topics || [],
+        primaryLanguage: repo.language,
+        languages: Object.entries(languageBytes).map(([name, bytes]) => ({
+            name,
+            color: null,
+            share: totalSize ? bytes / totalSize : 0
+        })),
+        createdAt: repo.created_at,
+        pushedAt: repo.pushed_at,
+        // Only the fetched page is known without a token
+        releaseCount: releases.length,
+        releaseDates: releases.map(release => release.published_at).filter(date => date)
+    };
+}
+
+/**
+ * Fetch stars, forks, watchers, open issues, license, topics, languages, activity
+ * and releases of a repository
+ *
+ * @param {string} fullName - Repository name with owner (e.g. 'facebook/react')
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Repository details
+ */
+export async function fetchRepositoryDetails(fullName, githubToken, options = {}) {
+    return githubToken
+        ? fetchRepositoryDetailsGraphQL(fullName, githubToken, options)
+        : fetchRepositoryDetailsREST(fullName, options);
+}
+
+/**
+ * Summarize how often a repository publishes releases
+ *
+ * @param {Array} releaseDates - Publication dates of the most recent releases
+ * @param {Date} now - Reference date
+ * @returns {Object} - Object containing latest (date or null), lastYear (count) and medianDays between releases (or null)
+ */
+export function calculateReleaseCadence(releaseDates, now = new Date()) {
+    const times = releaseDates.map(date => new Date(date).getTime()).sort((a, b) => b - a);
+    const gaps = times.slice(1).map((time, index) => (times[index] - time) / DAY).sort((a, b) => a - b);
+    const middle = Math.floor(gaps.length / 2);
+
+    let medianDays = null;
+    if (gaps.length > 0) {
+        medianDays = gaps.length % 2 === 0 ? (gaps[middle - 1] + gaps[middle]) / 2 : gaps[middle];
+    }
+
+    return {
+        latest: times.length > 0 ? new Date(times[0]).toISOString() : null,
+        lastYear: times.filter(time => now.getTime() - time <= 365 * DAY).length,
+        medianDays: medianDays === null ? null : Math.round(medianDays)
+    };
+}
+
+/**
+ * Check which search terms a repository matches, using the same date limit and
+ * global filters as the analysis
+ *
+ * @param {string} fullName - Repository name with owner
+ * @param {Array} searchTerms - Search terms of the analysis
+ * @param {string} dateLimit - Date limit for repository creation
+ * @param {string} globalFilters - Qualifiers appended to every search term
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Array>} - Match per term ({term, matched})
+ */
+export async function getMatchingTerms(fullName, searchTerms, dateLimit, globalFilters, githubToken, options = {}) {
+    if (searchTerms.length === 0) return [];
+
+    const queries = searchTerms.map(term => [
+        `repo:${fullName}`,
+        applyGlobalFilters(term, globalFilters),
+        dateLimit ? `created:>${dateLimit}` : ''
+    ].filter(part => part).join(' '));
+
+    if (githubToken) {
+        const { query, variables } = buildAliasedSearchQuery('MatchingTerms', queries.map((searchQuery, index) => ({
+            alias: `term${index}`,
+            query: searchQuery,
+            type: 'REPOSITORY',
+            selection: 'repositoryCount'
+        })));
+
+        const data = await runGraphQL(query, variables, githubToken, { signal: options.signal, context: 'matching_terms' });
+
+        return searchTerms.map((term, index) => ({ term, matched: data[`term${index}`].repositoryCount > 0 }));
+    }
+
+    // The unauthenticated search quota is small, so check the terms one at a time
+    const matches = [];
+    for (let i = 0; i < searchTerms.length; i++) {
+        const result = await fetchJson(
+            `https://api.github.com/search/repositories?q=${encodeURIComponent(queries[i])}&per_page=1`,
+            options
+        );
+        matches.push({ term: searchTerms[i], matched: result.total_count > 0 });
+    }
+
+    return matches;
+}
@@ -0,0 +1,298 @@
+/**
+ * Request service - Shared layer for GitHub API requests that tracks rate limits,
+ * waits out throttling and retries transient server errors
+ */
+import * as analyticsService from './analyticsService';
+import { getCacheKey, getCachedResponse, setCachedResponse } from './cacheService';
+import { GitHubApiError } from '../utils/errors';
+
+export const GRAPHQL_URL = 'https://api.github.com/graphql';
+
+// Retry settings for transient (5xx) errors
+const MAX_SERVER_RETRIES = 3;
+const BASE_RETRY_DELAY = 1000;
+
+// Retry settings for rate limiting
+const MAX_RATE_LIMIT_RETRIES = 3;
+const MAX_RATE_LIMIT_WAIT = 5 * 60 * 1000;
+const SECONDARY_RATE_LIMIT_WAIT = 60 * 1000;
+
+// Selection added to every GraphQL query so the quota can be tracked
+const RATE_LIMIT_SELECTION = 'rateLimit { cost limit remaining resetAt }';
+
+// Latest known quota per API resource ('graphql', 'core', 'search')
+let rateLimitState = {};
+const listeners = new Set();
+
+/**
+ * Get the latest known rate limit state
+ * @returns {Object} Quota per resource ({limit, remaining, resetAt, cost})
+ */
+export const getRateLimitState = () => rateLimitState;
+
+/**
+ * Subscribe to rate limit state changes
+ * @param {Function} listener - Called whenever the state changes
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToRateLimit = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Record the quota for a resource and notify subscribers
+ * @param {string} resource - API resource name
+ * @param {Object} quota - Quota values ({limit, remaining, resetAt, cost})
+ */
+const updateRateLimit = (resource, quota) => {
+  rateLimitState = {
+    ...rateLimitState,
+    [resource]: { ...rateLimitState[resource], ...quota }
+  };
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Wait for a number of milliseconds, stopping early if the signal is aborted
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt) => Math.random() * BASE_RETRY_DELAY * 2 ** attempt;
+
+/**
+ * Read the rate limit headers of a response into the shared state
+ * @param {Response} response - Fetch response
+ */
+const recordHeaders = (response) => {
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  if (remaining === null) return;
+
+  const reset = response.headers.get('x-ratelimit-reset');
+  updateRateLimit(response.headers.get('x-ratelimit-resource') || 'core', {
+    limit: parseInt(response.headers.get('x-ratelimit-limit')),
+    remaining: parseInt(remaining),
+    resetAt: reset ? new Date(parseInt(reset) * 1000).toISOString() : null
+  });
+};
+
+/**
+ * Determine how long to wait before retrying a throttled response
+ * @param {Response} response - Fetch response with status 403 or 429
+ * @returns {Promise<number|null>} Milliseconds to wait, or null if the response isn't a rate limit
+ */
+const getRateLimitWait = async (response) => {
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    return parseInt(retryAfter) * 1000;
+  }
+
+  if (response.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = parseInt(response.headers.get('x-ratelimit-reset'));
+    return Math.max(reset * 1000 - Date.now(), 0) + 1000;
+  }
+
+  const body = await response.clone().text();
+  if (/secondary rate limit/i.test(body)) {
+    return SECONDARY_RATE_LIMIT_WAIT;
+  }
+
+  return null;
+};
+
+/**
+ * Add the rateLimit selection to a GraphQL request body
+ * @param {string} body - JSON request body
+ * @returns {string} Request body with the rateLimit selection
+ */
+const withRateLimitSelection = (body) => {
+  const payload = JSON.parse(body);
+  if (typeof payload.query !== 'string' || payload.query.includes('rateLimit')) {
+    return body;
+  }
+
+  // The first brace opens the operation's selection set
+  payload.query = payload.query.replace('{', `{ ${RATE_LIMIT_SELECTION}`);
+  return JSON.stringify(payload);
+};
+
+/**
+ * Fetch from the network, waiting out rate limits and retrying transient errors
+ *
+ * @param {string} url - GitHub API URL
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Response>} Final fetch response
+ */
+const fetchWithRetries = async (url, options) => {
+  const isGraphQL = url === GRAPHQL_URL;
+  const requestOptions = isGraphQL && options.body
+    ? { ...options, body: withRateLimitSelection(options.body) }
+    : options;
+
+  let serverRetries = 0;
+  let rateLimitRetries = 0;
+
+  for (;;) {
+    const response = await fetch(url, requestOptions);
+    recordHeaders(response);
+
+    // Throttled: wait until the quota resets, within reason
+    if (response.status === 403 || response.status === 429) {
+      const wait = await getRateLimitWait(response);
+
+      if (wait !== null) {
+        analyticsService.logError('rate_limit', `Status ${response.status}`);
+
+        if (rateLimitRetries < MAX_RATE_LIMIT_RETRIES && wait <= MAX_RATE_LIMIT_WAIT) {
+          rateLimitRetries++;
+          await sleep(wait, options.signal);
+          continue;
+        }
+      }
+
+      return response;
+    }
+
+    // Transient server errors
+    if (response.status >= 500) {
+      if (serverRetries < MAX_SERVER_RETRIES) {
+        await sleep(getRetryDelay(serverRetries), options.signal);
+        serverRetries++;
+        continue;
+      }
+
+      return response;
+    }
+
+    if (!isGraphQL || !response.ok) {
+      return response;
+    }
+
+    // GraphQL reports its quota and rate limiting in the response body
+    const result = await response.clone().json();
+
+    if (result.data?.rateLimit) {
+      updateRateLimit('graphql', result.data.rateLimit);
+    }
+
+    if (result.errors?.some(error => error.type === 'RATE_LIMITED')) {
+      const resetAt = result.data?.rateLimit?.resetAt || rateLimitState.graphql?.resetAt;
+      const wait = resetAt ? Math.max(new Date(resetAt) - Date.now(), 0) + 1000 : SECONDARY_RATE_LIMIT_WAIT;
+
+      analyticsService.logError('rate_limit', 'GraphQL RATE_LIMITED');
+
+      if (rateLimitRetries < MAX_RATE_LIMIT_RETRIES && wait <= MAX_RATE_LIMIT_WAIT) {
+        rateLimitRetries++;
+        await sleep(wait, options.signal);
+        continue;
+      }
+    }
+
+    return response;
+  }
+};
+
+/**
+ * Fetch a GitHub API URL, serving it from the response cache when possible and otherwise
+ * waiting out rate limits and retrying transient errors.
+ * Resolves with the final response; callers still handle non-OK statuses themselves.
+ *
+ * @param {string} url - GitHub API URL
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+export const githubFetch = async (url, options = {}) => {
+  // Cached responses never touch the network, so check for cancellation here
+  options.signal?.throwIfAborted();
+
+  const cacheKey = getCacheKey(url, options);
+
+  if (cacheKey) {
+    const cachedBody = await getCachedResponse(cacheKey);
+    if (cachedBody !== null) {
+      return new Response(cachedBody, {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  const response = await fetchWithRetries(url, options);
+
+  // Only complete responses; e.g. a 202 from the statistics endpoints has no data yet
+  if (cacheKey && response.status === 200) {
+    const body = await response.clone().text();
+
+    // Partial GraphQL results must not be replayed later
+    const hasErrors = url === GRAPHQL_URL && Boolean(JSON.parse(body).errors);
+    if (!hasErrors) {
+      await setCachedResponse(cacheKey, body);
+    }
+  }
+
+  return response;
+};
+
+/**
+ * Send a GraphQL query to GitHub and return its data
+ *
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - GraphQL variables
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @param {string} options.context - Prefix of the logged error events (e.g. 'trend')
+ * @returns {Promise<Object>} The `data` field of the response
+ * @throws {GitHubApiError} For non-OK responses and GraphQL errors
+ */
+export const runGraphQL = async (query, variables, githubToken, { signal, context = 'request' } = {}) => {
+  const response = await githubFetch(GRAPHQL_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${githubToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ query, variables }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    analyticsService.logError(`${context}_graphql_api`, `Status ${response.status}`);
+    throw new GitHubApiError(`GitHub GraphQL API returned ${response.status}: ${errorText}`, { status: response.status });
+  }
+
+  const result = await response.json();
+
+  if (result.errors) {
+    analyticsService.logError(`${context}_graphql_error`, result.errors[0].message);
+    throw new GitHubApiError(`GraphQL Error: ${result.errors[0].message}`, { type: result.errors[0].type });
+  }
+
+  return result.data;
+};
@@ -0,0 +1,338 @@
+/**
+ * Search Partitioner - Splits GitHub repository searches into slices that stay under
+ * the 1,000-result search cap, so H-Index and totals can be calculated exactly
+ */
+import { calculateHIndex } from '../utils';
+import { runGraphQL } from './requestService';
+
+// GitHub search never returns more than 1,000 results for a single query
+export const SEARCH_RESULT_LIMIT = 1000;
+
+// Default number of slices a single partitioned search may produce
+const DEFAULT_MAX_SLICES = 10;
+
+const REPOSITORY_COUNT_QUERY = `
+query RepositoryCount($query: String!) {
+  search(query: $query, type: REPOSITORY, first: 0) {
+    repositoryCount
+  }
+}`;
+
+const REPOSITORY_SEARCH_QUERY = `
+query RepositorySearch($query: String!, $after: String) {
+  search(query: $query, type: REPOSITORY, first: 100, after: $after) {
+    repositoryCount
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    nodes {
+      ... on Repository {
+        id
+        name
+        owner {
+          login
+        }
+        nameWithOwner
+        url
+        stargazerCount
+        forkCount
+        createdAt
+        primaryLanguage {
+          name
+        }
+        repositoryTopics(first: 10) {
+          nodes {
+            topic {
+              name
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+/**
+ * Add a number of days to a date string
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} - Resulting date in YYYY-MM-DD format
+ */
+export function addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the number of days between two date strings
+ *
+ * @param {string} from - Start date in YYYY-MM-DD format
+ * @param {string} to - End date in YYYY-MM-DD format
+ * @returns {number} - Whole days from start to end
+ */
+function daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Build the search string for a single slice
+ *
+ * @param {string} searchTerm - Base search term
+ * @param {Object} slice - Slice bounds ({from, to, minValue, maxValue})
+ * @param {string} valueQualifier - Range qualifier used for value splits ('stars' or 'forks')
+ * @returns {string} - GitHub search string
+ */
+function buildSliceQuery(searchTerm, slice, valueQualifier) {
+    let query = `${searchTerm} created:${slice.from}..${slice.to}`;
+
+    if (slice.maxValue !== null) {
+        query += ` ${valueQualifier}:${slice.minValue}..${slice.maxValue}`;
+    } else if (slice.minValue > 0) {
+        query += ` ${valueQualifier}:>=${slice.minValue}`;
+    }
+
+    return query;
+}
+
+/**
+ * Count the repositories matching a search string
+ *
+ * @param {string} searchQuery - GitHub search string
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} requestOptions - Optional request options ({signal, onProgress})
+ * @returns {Promise<number>} - Number of matching repositories
+ */
+export async function countRepositories(searchQuery, githubToken, requestOptions = {}) {
+    const data = await runGraphQL(REPOSITORY_COUNT_QUERY, { query: searchQuery }, githubToken, {
+        signal: requestOptions.signal,
+        context: 'partition'
+    });
+
+    return data.search.repositoryCount;
+}
+
+/**
+ * Fetch the repositories of a single search, up to the search cap
+ *
+ * @param {string} searchQuery - GitHub search string
+ * @param {string} githubToken - GitHub API token
+ * @param {Function} until - Optional predicate on the repos fetched so far; fetching stops once it returns true
+ * @param {Object} requestOptions - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing repos (REST API format) and the total match count
+ */
+export async function fetchRepositories(searchQuery, githubToken, until = null, requestOptions = {}) {
+    let allRepos = [];
+    let hasNextPage = true;
+    let endCursor = null;
+    let totalCount = 0;
+
+    while (hasNextPage) {
+        const data = await runGraphQL(
+            REPOSITORY_SEARCH_QUERY,
+            { query: searchQuery, after: endCursor },
+            githubToken,
+            { signal: requestOptions.signal, context: 'partition' }
+        );
+
+        const searchData = data.search;
+        totalCount = searchData.repositoryCount;
+
+        // Transform GraphQL data to match the REST API format
+        const repos = searchData.nodes.map(node => ({
+            id: node.id,
+            name: node.name,
+            full_name: node.nameWithOwner,
+            html_url: node.url,
+            stargazers_count: node.stargazerCount,
+            forks_count: node.forkCount,
+            owner: {
+                login: node.owner.login
+            },
+            created_at: node.createdAt,
+            language: node.primaryLanguage?.name || null,
+            topics: node.repositoryTopics.nodes.map(topicNode => topicNode.topic.name)
+        }));
+
+        allRepos = [...allRepos, ...repos];
+        requestOptions.onProgress?.({ reposFetched: repos.length });
+
+        // Update pagination info for next iteration
+        hasNextPage = searchData.pageInfo.hasNextPage;
+        endCursor = searchData.pageInfo.endCursor;
+
+        if (allRepos.length >= SEARCH_RESULT_LIMIT || (until && until(allRepos))) {
+            break;
+        }
+    }
+
+    return {
+        repos: allRepos,
+        totalCount
+    };
+}
+
+/**
+ * Recursively split a search into slices that each match at most SEARCH_RESULT_LIMIT repositories.
+ * The `created:` range is halved first; once a slice covers a single day, the value range
+ * (`stars:` or `forks:`) is split instead when `splitByValue` is enabled.
+ *
+ * @param {string} searchTerm - Base search term (without a `created:` qualifier)
+ * @param {Object} options - Partition options
+ * @param {string} options.createdFrom - First creation date (YYYY-MM-DD)
+ * @param {string} options.createdTo - Last creation date (YYYY-MM-DD)
+ * @param {string} options.valueQualifier - Range qualifier for value splits ('stars' or 'forks')
+ * @param {number} options.minValue - Only include repositories with at least this value
+ * @param {boolean} options.splitByValue - Whether single-day slices may be split by value
+ * @param {number} options.maxSlices - Maximum number of slices to produce
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} requestOptions - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing slices ({query, count}), totalCount and exact flag
+ */
+export async function partitionSearch(searchTerm, options, githubToken, requestOptions = {}) {
+    const {
+        createdFrom,
+        createdTo,
+        valueQualifier = 'stars',
+        minValue = 0,
+        splitByValue = true,
+        maxSlices = DEFAULT_MAX_SLICES
+    } = options;
+
+    const slices = [];
+    let exact = true;
+
+    // Depth-first so that slices come out in creation-date order
+    const pending = [{ from: createdFrom, to: createdTo, minValue, maxValue: null }];
+
+    while (pending.length > 0) {
+        const slice = pending.shift();
+        const query = buildSliceQuery(searchTerm, slice, valueQualifier);
+        const count = await countRepositories(query, githubToken, requestOptions);
+
+        if (count <= SEARCH_RESULT_LIMIT) {
+            slices.push({ query, count });
+            continue;
+        }
+
+        // Out of budget: keep the oversized slice, its results will be truncated
+        if (slices.length + pending.length + 2 > maxSlices) {
+            slices.push({ query, count });
+            exact = false;
+            continue;
+        }
+
+        const days = daysBetween(slice.from, slice.to);
+
+        if (days > 0) {
+            const middle = addDays(slice.from, Math.floor(days / 2));
+            pending.unshift(
+                { ...slice, to: middle },
+                { ...slice, from: addDays(middle, 1) }
+            );
+        } else if (splitByValue && (slice.maxValue === null || slice.minValue < slice.maxValue)) {
+            // Unbounded ranges are split geometrically, bounded ones in half
+            const middle = slice.maxValue === null
+                ? Math.max(slice.minValue * 10, 10)
+                : Math.floor((slice.minValue + slice.maxValue + 1) / 2);
+            pending.unshift(
+                { ...slice, maxValue: middle - 1 },
+                { ...slice, minValue: middle }
+            );
+        } else {
+            // A single day with a single value can't be split any further
+            slices.push({ query, count });
+            exact = false;
+        }
+    }
+
+    return {
+        slices,
+        totalCount: slices.reduce((sum, slice) => sum + slice.count, 0),
+        exact
+    };
+}
+
+/**
+ * Fetch every repository matching a search by fetching each partition slice and merging the results
+ *
+ * @param {string} searchTerm - Base search term (without a `created:` qualifier)
+ * @param {Object} options - Partition options (see partitionSearch)
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} requestOptions - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing repos, totalCount and exact flag
+ */
+export async function fetchPartitionedRepositories(searchTerm, options, githubToken, requestOptions = {}) {
+    const partition = await partitionSearch(searchTerm, options, githubToken, requestOptions);
+    const reposById = new Map();
+
+    for (const slice of partition.slices) {
+        if (slice.count === 0) continue;
+
+        const { repos } = await fetchRepositories(slice.query, githubToken, null, requestOptions);
+        repos.forEach(repo => reposById.set(repo.id, repo));
+    }
+
+    return {
+        repos: [...reposById.values()],
+        totalCount: partition.totalCount,
+        exact: partition.exact
+    };
+}
+
+/**
+ * Calculate the H-Index of a search without being limited by the search cap.
+ * Repositories are fetched sorted by the property, so the H-Index is exact as soon as it is
+ * smaller than the number of repositories fetched; only when the top 1,000 all qualify is the
+ * search partitioned to fetch every repository above the threshold.
+ *
+ * @param {string} searchTerm - Base search term (without a `created:` qualifier)
+ * @param {Object} options - Partition options ({createdFrom, createdTo, maxSlices})
+ * @param {string} property - Property to calculate H-Index on ('stargazers_count' or 'forks_count')
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} requestOptions - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing hIndex, repos, totalCount and exact flag
+ */
+export async function fetchExactHIndex(searchTerm, options, property, githubToken, requestOptions = {}) {
+    const valueQualifier = property === 'forks_count' ? 'forks' : 'stars';
+    const { createdFrom, createdTo } = options;
+
+    const top = await fetchRepositories(
+        `${searchTerm} created:${createdFrom}..${createdTo} sort:${valueQualifier}-desc`,
+        githubToken,
+        repos => calculateHIndex(repos, property) < repos.length,
+        requestOptions
+    );
+
+    const hIndex = calculateHIndex(top.repos, property);
+
+    if (hIndex < top.repos.length || top.repos.length >= top.totalCount) {
+        return {
+            hIndex,
+            repos: top.repos,
+            totalCount: top.totalCount,
+            exact: true
+        };
+    }
+
+    // Every fetched repository qualifies, so fetch all of those at or above the threshold
+    const partitioned = await fetchPartitionedRepositories(
+        searchTerm,
+        { ...options, valueQualifier, minValue: hIndex },
+        githubToken,
+        requestOptions
+    );
+
+    const repos = [...new Map(
+        [...top.repos, ...partitioned.repos].map(repo => [repo.id, repo])
+    ).values()];
+
+    return {
+        hIndex: calculateHIndex(repos, property),
+        repos,
+        totalCount: top.totalCount,
+        exact: partitioned.exact
+    };
+}
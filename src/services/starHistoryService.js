@@ -0,0 +1,220 @@
+/**
+ * Star history service - Cumulative star counts of a repository over time
+ */
+import { GitHubApiError } from '../utils/errors';
+import * as analyticsService from './analyticsService';
+import { githubFetch, runGraphQL } from './requestService';
+
+// Number of repositories that can be overlaid in one chart
+export const MAX_STAR_HISTORY_REPOS = 5;
+
+// Stargazers are listed 100 per page, oldest first
+const STARGAZERS_PER_PAGE = 100;
+
+// Pages fetched in full before switching to sampling
+const MAX_FULL_PAGES = 10;
+
+// Pages fetched evenly spread over the rest of the history when sampling
+const SAMPLE_PAGES = 15;
+
+// The REST API doesn't list stargazers beyond this page
+const MAX_REST_PAGE = 400;
+
+// Points kept per curve, so long histories stay light to draw
+const MAX_POINTS = 200;
+
+const STARGAZERS_QUERY = `
+query StarHistory($owner: String!, $name: String!, $after: String) {
+  repository(owner: $owner, name: $name) {
+    nameWithOwner
+    url
+    stargazerCount
+    stargazers(first: 100, after: $after, orderBy: {field: STARRED_AT, direction: ASC}) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        starredAt
+      }
+    }
+  }
+}`;
+
+/**
+ * Page through the oldest stargazers of a repository using the GraphQL API
+ *
+ * @param {string} fullName - Repository name with owner (e.g. 'facebook/react')
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing fullName, url, stargazerCount, starredAt dates and whether more stargazers remain
+ */
+async function fetchStargazersGraphQL(fullName, githubToken, options) {
+    const [owner, name] = fullName.split('/');
+    let starredAt = [];
+    let hasNextPage = true;
+    let endCursor = null;
+    let repository = null;
+
+    for (let page = 0; hasNextPage && page < MAX_FULL_PAGES; page++) {
+        const data = await runGraphQL(
+            STARGAZERS_QUERY,
+            { owner, name, after: endCursor },
+            githubToken,
+            { signal: options.signal, context: 'star_history' }
+        );
+
+        repository = data.repository;
+        if (!repository) {
+            throw new GitHubApiError(`No repository named "${fullName}"`, { status: 404 });
+        }
+
+        starredAt = [...starredAt, ...repository.stargazers.edges.map(edge => edge.starredAt)];
+        options.onProgress?.({ reposFetched: 0 });
+
+        hasNextPage = repository.stargazers.pageInfo.hasNextPage;
+        endCursor = repository.stargazers.pageInfo.endCursor;
+    }
+
+    return {
+        fullName: repository.nameWithOwner,
+        url: repository.url,
+        stargazerCount: repository.stargazerCount,
+        starredAt,
+        hasMore: hasNextPage
+    };
+}
+
+/**
+ * Fetch a repository's star count using the REST API
+ *
+ * @param {string} fullName - Repository name with owner
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing fullName, url and stargazerCount
+ */
+async function fetchRepositoryREST(fullName, options) {
+    const response = await githubFetch(`https://api.github.com/repos/${fullName}`, {
+        headers: { 'Accept': 'application/vnd.github+json' },
+        signal: options.signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        analyticsService.logError('star_history_api', `Status ${response.status}`);
+        throw new GitHubApiError(`GitHub API returned ${response.status}: ${errorText}`, { status: response.status });
+    }
+
+    const repo = await response.json();
+    return {
+        fullName: repo.full_name,
+        url: repo.html_url,
+        stargazerCount: repo.stargazers_count
+    };
+}
+
+/**
+ * Sample the star history by fetching single stargazer pages spread over the history.
+ * The first stargazer of page p is star number (p - 1) * 100 + 1.
+ *
+ * @param {string} fullName - Repository name with owner
+ * @param {number} firstPage - First page to sample
+ * @param {number} lastPage - Last page to sample
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Array>} - Sampled points ({date, stars})
+ */
+async function sampleStargazerPages(fullName, firstPage, lastPage, githubToken, options) {
+    const count = Math.min(SAMPLE_PAGES, lastPage - firstPage + 1);
+    const pages = [...new Set(Array.from({ length: count }, (_, i) =>
+        count === 1 ? firstPage : Math.round(firstPage + i * (lastPage - firstPage) / (count - 1))
+    ))];
+
+    const headers = {
+        // Includes the starred_at timestamps
+        'Accept': 'application/vnd.github.star+json'
+    };
+    if (githubToken) {
+        headers['Authorization'] = `Bearer ${githubToken}`;
+    }
+
+    const points = await Promise.all(pages.map(async page => {
+        const url = `https://api.github.com/repos/${fullName}/stargazers?per_page=${STARGAZERS_PER_PAGE}&page=${page}`;
+        const response = await githubFetch(url, { headers, signal: options.signal });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            analyticsService.logError('star_history_api', `Status ${response.status}`);
+            throw new GitHubApiError(`GitHub API returned ${response.status}: ${errorText}`, { status: response.status });
+        }
+
+        const stargazers = await response.json();
+        options.onProgress?.({ reposFetched: 0 });
+
+        return stargazers.length > 0
+            ? { date: stargazers[0].starred_at, stars: (page - 1) * STARGAZERS_PER_PAGE + 1 }
+            : null;
+    }));
+
+    return points.filter(point => point);
+}
+
+/**
+ * Keep at most MAX_POINTS evenly spread points, always including the last one
+ *
+ * @param {Array} points - Cumulative history ({date, stars})
+ * @returns {Array} - Thinned history
+ */
+function thinPoints(points) {
+    if (points.length <= MAX_POINTS) return points;
+
+    const step = Math.ceil(points.length / MAX_POINTS);
+    return points.filter((point, index) => index % step === 0 || index === points.length - 1);
+}
+
+/**
+ * Fetch the cumulative star history of a repository. The oldest stargazers are paged in
+ * full via GraphQL; beyond that (or without a token) pages spread over the history are
+ * sampled, and the curve ends at the current star count. The REST API lists only the oldest
+ * 40,000 stargazers, so larger repositories are marked truncated: their curve jumps straight from
+ * the last listed star to the current count.
+ *
+ * @param {string} fullName - Repository name with owner (e.g. 'facebook/react')
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Object containing fullName, url, stargazerCount, points ({date, stars}), sampled and truncated
+ */
+export async function fetchStarHistory(fullName, githubToken, options = {}) {
+    let repository;
+    let points = [];
+    let sampleFrom = 1;
+
+    if (githubToken) {
+        const { starredAt, hasMore, ...info } = await fetchStargazersGraphQL(fullName, githubToken, options);
+        repository = info;
+        points = starredAt.map((date, index) => ({ date, stars: index + 1 }));
+        sampleFrom = hasMore ? MAX_FULL_PAGES + 1 : null;
+    } else {
+        repository = await fetchRepositoryREST(fullName, options);
+    }
+
+    const lastPage = Math.min(Math.ceil(repository.stargazerCount / STARGAZERS_PER_PAGE), MAX_REST_PAGE);
+    const sampled = sampleFrom !== null && sampleFrom <= lastPage;
+
+    if (sampled) {
+        const samples = await sampleStargazerPages(repository.fullName, sampleFrom, lastPage, githubToken, options);
+        points = [...points, ...samples];
+    }
+
+    // Stars removed since are not in the stargazer list, so end at the current count
+    points = [...thinPoints(points), { date: new Date().toISOString(), stars: repository.stargazerCount }];
+
+    // Stars past the last REST page have no known dates, so the curve's final stretch is a guess
+    const truncated = repository.stargazerCount > MAX_REST_PAGE * STARGAZERS_PER_PAGE;
+
+    return {
+        ...repository,
+        points,
+        sampled,
+        truncated
+    };
+}
@@ -0,0 +1,188 @@
+/**
+ * Term analysis service - H-Index, impact indices and engagement of a single search term,
+ * shared by the main analysis and the term detail page
+ */
+import { getTopRepos } from '../utils';
+import { TERM_STATUS, getErrorStatus } from '../utils/errors';
+import { calculateImpactMetrics, IMPACT_THRESHOLDS } from '../utils/metrics';
+import { applyGlobalFilters, parseEntityTerm, stripRepositoryQualifiers } from '../utils/searchQualifiers';
+import * as githubService from './githubService';
+import * as engagementService from './engagementService';
+
+/**
+ * Analyze a user:/org: term over every repository the entity owns
+ *
+ * @param {string} term - Search term
+ * @param {Object} entity - Entity to analyze ({type, login})
+ * @param {Object} settings - Analysis settings ({dateLimit, includeForks})
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Term result
+ */
+async function analyzeEntity(term, entity, settings, githubToken, options) {
+    const { dateLimit, includeForks } = settings;
+    const { repos } = await githubService.fetchEntityRepositories(
+        entity,
+        { includeForks, dateLimit },
+        githubToken,
+        options
+    );
+
+    const [totalPRsCount, totalDiscussionsCount] = await Promise.all([
+        githubService.getTotalCount(term, dateLimit, 'pull_requests', githubToken, options),
+        githubService.getTotalCount(term, dateLimit, 'discussions', githubToken, options)
+    ]);
+
+    // Every owned repository is fetched, so all indices are exact
+    const starMetrics = calculateImpactMetrics(repos, 'stargazers_count', { complete: true });
+    const forkMetrics = calculateImpactMetrics(repos, 'forks_count', { complete: true });
+
+    return {
+        searchTerm: term,
+        effectiveQuery: term,
+        entity,
+        includeForks,
+        dateLimit,
+        starHIndex: starMetrics.hIndex,
+        forkHIndex: forkMetrics.hIndex,
+        starHIndexExact: true,
+        forkHIndexExact: true,
+        status: TERM_STATUS.OK,
+        starMetrics,
+        forkMetrics,
+        exactThresholdCounts: true,
+        totalRepos: repos.length,
+        analyzedRepos: repos.length,
+        totalPRs: totalPRsCount,
+        totalDiscussions: totalDiscussionsCount,
+        topStarredRepos: getTopRepos(repos, 'stargazers_count'),
+        topForkedRepos: getTopRepos(repos, 'forks_count'),
+        repos,
+        githubToken: !!githubToken
+    };
+}
+
+/**
+ * Analyze a free-text repository search
+ *
+ * @param {string} term - Search term
+ * @param {Object} settings - Analysis settings ({dateLimit, globalFilters})
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Term result
+ */
+async function analyzeSearch(term, settings, githubToken, options) {
+    const { dateLimit, globalFilters } = settings;
+
+    // The term plus any global filters it doesn't override
+    const query = applyGlobalFilters(term, globalFilters);
+
+    // Fetch and calculate the Star H-Index first (sorted by stars)
+    const starResult = await githubService.fetchAndCalculateHIndex(
+        query,
+        dateLimit,
+        'stargazers_count',
+        'stars',
+        githubToken,
+        options
+    );
+
+    // Then fetch and calculate the Fork H-Index (sorted by forks)
+    const forkResult = await githubService.fetchAndCalculateHIndex(
+        query,
+        dateLimit,
+        'forks_count',
+        'forks',
+        githubToken,
+        options
+    );
+
+    // Use combined repos from both fetches
+    const allRepos = [...new Map(
+        [...starResult.repos, ...forkResult.repos].map(repo => [repo.id, repo])
+    ).values()];
+
+    // Get additional counts for total repositories, pull requests and discussions,
+    // and of repositories above the i10/i100 thresholds
+    const [totalReposCount, totalPRsCount, totalDiscussionsCount, thresholdCounts] = await Promise.all([
+        githubService.getTotalCount(query, dateLimit, 'repositories', githubToken, options),
+        githubService.getTotalCount(query, dateLimit, 'pull_requests', githubToken, options),
+        githubService.getTotalCount(query, dateLimit, 'discussions', githubToken, options),
+        githubService.getThresholdCounts(query, dateLimit, IMPACT_THRESHOLDS, githubToken, options)
+    ]);
+
+    // Further impact indices from the same repositories
+    const starMetrics = calculateImpactMetrics(starResult.repos, 'stargazers_count', {
+        complete: starResult.repos.length >= starResult.totalItems,
+        thresholdCounts: thresholdCounts?.stargazers_count
+    });
+    const forkMetrics = calculateImpactMetrics(forkResult.repos, 'forks_count', {
+        complete: forkResult.repos.length >= forkResult.totalItems,
+        thresholdCounts: thresholdCounts?.forks_count
+    });
+
+    return {
+        searchTerm: term,
+        effectiveQuery: query,
+        dateLimit,
+        starHIndex: starResult.hIndex,
+        forkHIndex: forkResult.hIndex,
+        // False when GitHub's search cap made the H-Index a lower bound
+        starHIndexExact: starResult.exact,
+        forkHIndexExact: forkResult.exact,
+        status: starResult.exact && forkResult.exact ? TERM_STATUS.OK : TERM_STATUS.PARTIAL,
+        starMetrics,
+        forkMetrics,
+        // Without a token the i10/i100 counts only cover the fetched repositories
+        exactThresholdCounts: Boolean(thresholdCounts),
+        totalRepos: totalReposCount,
+        analyzedRepos: allRepos.length,
+        totalPRs: totalPRsCount,
+        totalDiscussions: totalDiscussionsCount,
+        topStarredRepos: getTopRepos(allRepos, 'stargazers_count'),
+        topForkedRepos: getTopRepos(allRepos, 'forks_count'),
+        // Every fetched repository, for the distribution view
+        repos: allRepos,
+        githubToken: !!githubToken // Include token availability flag
+    };
+}
+
+/**
+ * Calculate the H-Index and related metrics of a single search term. user:/org: terms on
+ * their own analyze the entity's repositories rather than a search.
+ *
+ * @param {string} term - Search term
+ * @param {Object} settings - Analysis settings ({dateLimit, globalFilters, includeForks, engagementScore})
+ * @param {string} githubToken - Optional GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Term result, as shown by ResultsDisplay and MultiSearchResults
+ */
+export async function analyzeTerm(term, settings, githubToken, options = {}) {
+    const entity = parseEntityTerm(term);
+    const result = entity
+        ? await analyzeEntity(term, entity, settings, githubToken, options)
+        : await analyzeSearch(term, settings, githubToken, options);
+
+    // Issue, PR and discussion H-Index for community engagement; a failure here keeps the
+    // repository results and is reported on the engagement alone ({error, status})
+    if (settings.engagementScore) {
+        try {
+            result.engagement = await engagementService.fetchEngagement(
+                stripRepositoryQualifiers(result.effectiveQuery),
+                settings.dateLimit,
+                settings.engagementScore,
+                githubToken,
+                options
+            );
+
+            if (Object.values(result.engagement).some(kind => !kind.exact)) {
+                result.status = TERM_STATUS.PARTIAL;
+            }
+        } catch (error) {
+            if (options.signal?.aborted) throw error;
+            result.engagement = { error: error.message, status: getErrorStatus(error) };
+        }
+    }
+
+    return result;
+}
@@ -1,8 +1,139 @@
 /**
  * Trend Tracker Service - Handles time-based trend analysis via GitHub GraphQL API
  */
-import { calculateHIndex } from '../utils';
+import { calculateMedian } from '../utils';
+import { buildAliasedSearchQuery, planSearchBatches } from '../utils/graphql';
+import { applyGlobalFilters } from '../utils/searchQualifiers';
+import { GitHubApiError, TERM_STATUS, getErrorStatus } from '../utils/errors';
 import * as analyticsService from './analyticsService';
+import { runGraphQL } from './requestService';
+import { runConcurrently } from './executionService';
+import { addDays, fetchExactHIndex, fetchPartitionedRepositories } from './searchPartitioner';
+
+// Metrics that need the repositories of each window, not just their count
+const POPULARITY_METRICS = ['stars', 'forks', 'medianStars', 'medianForks'];
+
+// Count metrics, which can be normalized by the same count for a baseline, and their time point field
+const COUNT_FIELDS = {
+    repositories: 'repositoryCount',
+    prs: 'prCount',
+    issues: 'issueCount'
+};
+
+// Multiplier of the ratio to the baseline per share unit
+const SHARE_SCALES = {
+    percent: 100,
+    per10k: 10000
+};
+
+// Metrics that add up over a period, so a partial period can be pro-rated
+const PROJECTABLE_METRICS = ['repositories', 'stars', 'forks', 'prs', 'issues'];
+
+// Most aliased searches and estimated query cost of a single trend request, by default and at
+// most; GitHub rejects documents with hundreds of searches
+export const DEFAULT_SEARCH_BATCH_BUDGET = { maxNodes: 100, maxCost: 100 };
+export const SEARCH_BATCH_LIMITS = { maxNodes: 100, maxCost: 500 };
+
+// Batches of searches fetched at the same time, and attempts per batch
+const SEARCH_BATCH_CONCURRENCY = 2;
+const MAX_BATCH_ATTEMPTS = 2;
+
+// Windowed H-Index metrics and the repository property each one is calculated on
+const WINDOWED_HINDEX_METRICS = {
+    starHIndex: 'stargazers_count',
+    forkHIndex: 'forks_count'
+};
+
+/**
+ * Run one batch of aliased searches as a single GraphQL request
+ * 
+ * @param {string} operationName - Name of the GraphQL operation
+ * @param {Array} searches - Searches in the batch ({alias, query, type, selection})
+ * @param {string} githubToken - GitHub API token
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} - Search results keyed by alias
+ */
+async function fetchSearchBatch(operationName, searches, githubToken, signal) {
+    const { query, variables } = buildAliasedSearchQuery(operationName, searches);
+    return runGraphQL(query, variables, githubToken, { signal, context: 'trend' });
+}
+
+/**
+ * Read a request budget value, e.g. from a form field
+ * 
+ * @param {string} key - Budget key ('maxNodes' or 'maxCost')
+ * @param {string|number} value - Entered value
+ * @returns {number} - The value clamped to SEARCH_BATCH_LIMITS, or the default if it isn't a positive number
+ */
+export function parseSearchBudgetValue(key, value) {
+    const parsed = parseInt(value);
+    if (Number.isNaN(parsed) || parsed < 1) {
+        return DEFAULT_SEARCH_BATCH_BUDGET[key];
+    }
+    
+    return Math.min(parsed, SEARCH_BATCH_LIMITS[key]);
+}
+
+/**
+ * Run aliased searches in batches that stay within the request budget, several at a time.
+ * Batches whose request never got a response are retried on their own; server errors were
+ * already retried by the request service. Any other failure, or a batch that keeps failing,
+ * fails the whole set.
+ * 
+ * @param {string} operationName - Name of the GraphQL operation
+ * @param {Array} searches - Searches to run ({alias, query, type, selection, first})
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} options - Optional request options
+ * @param {AbortSignal} options.signal - Stops in-flight requests
+ * @param {Function} options.onProgress - Called with ({reposFetched}) after each batch
+ * @param {Object} options.budget - Most aliased searches and estimated cost per request ({maxNodes, maxCost}),
+ *                                  within SEARCH_BATCH_LIMITS
+ * @param {number} options.concurrency - Maximum number of batches fetched at once
+ * @returns {Promise<Object>} - Search results of every batch keyed by alias, in search order
+ */
+export async function fetchSearchBatches(operationName, searches, githubToken, options = {}) {
+    const { signal, onProgress, budget = DEFAULT_SEARCH_BATCH_BUDGET, concurrency = SEARCH_BATCH_CONCURRENCY } = options;
+    const batches = planSearchBatches(searches, {
+        maxNodes: parseSearchBudgetValue('maxNodes', budget.maxNodes),
+        maxCost: parseSearchBudgetValue('maxCost', budget.maxCost)
+    });
+    const batchData = new Array(batches.length);
+    let pending = batches.map((_, index) => index);
+    let lastError = null;
+    
+    for (let attempt = 0; attempt < MAX_BATCH_ATTEMPTS && pending.length > 0; attempt++) {
+        const outcomes = await runConcurrently(
+            pending,
+            batchIndex => fetchSearchBatch(operationName, batches[batchIndex], githubToken, signal),
+            { concurrency, signal }
+        );
+        signal?.throwIfAborted();
+        
+        const failed = [];
+        outcomes.forEach((outcome, index) => {
+            if (outcome.status === 'fulfilled') {
+                batchData[pending[index]] = outcome.value;
+                onProgress?.({ reposFetched: 0 });
+                return;
+            }
+            
+            // Only failed fetches may go away on a retry; responses with a status were retried already
+            if (outcome.reason?.status || getErrorStatus(outcome.reason) !== TERM_STATUS.NETWORK) {
+                throw outcome.reason;
+            }
+            lastError = outcome.reason;
+            failed.push(pending[index]);
+        });
+        
+        pending = failed;
+    }
+    
+    if (pending.length > 0) {
+        throw lastError;
+    }
+    
+    return Object.assign({}, ...batchData);
+}
 
 /**
  * Fetch time-series data for a search term using GraphQL
@@ -10,85 +141,101 @@ import * as analyticsService from './analyticsService';
  * @param {string} searchTerm - The search term to analyze
  * @param {Array} timeWindows - Array of time windows (e.g. [{start: '2020-01-01', end: '2020-12-31'}])
  * @param {string} githubToken - GitHub API token (required for GraphQL)
- * @param {string} metric - Metric to track ('repositories', 'stars', 'prs', 'issues')
+ * @param {string} metric - Metric to track ('repositories', 'stars', 'forks', 'medianStars', 'medianForks',
+ *                          'starHIndex', 'forkHIndex', 'prs', 'issues')
+ * @param {Object} options - Optional request options ({signal, onProgress, budget, concurrency});
+ *                           budget and concurrency apply to the batches of aliased searches
  * @returns {Object} - Time series data for the requested metric
  */
-export async function fetchTimeSeries(searchTerm, timeWindows, githubToken, metric = 'repositories') {
+export async function fetchTimeSeries(searchTerm, timeWindows, githubToken, metric = 'repositories', options = {}) {
     if (!githubToken) {
         analyticsService.logError('trend_analysis', 'Missing GitHub token');
-        throw new Error('GitHub token is required for time trend analysis');
+        throw new GitHubApiError('GitHub token is required for time trend analysis', { status: 401 });
+    }
+    
+    if (timeWindows.length === 0) {
+        return [];
     }
     
     const startTime = performance.now();
     let success = true;
     
-    // Build the GraphQL query for all time windows in a single request
-    let queryString = 'query {';
+    // Build one aliased search per time window (and per item type), batched into as few requests as the budget allows
+    const searches = [];
     
     timeWindows.forEach((window, index) => {
         // Create a unique alias for each time period query
         const periodAlias = `period${index}`;
         
         // Base query with time window
-        const baseQuery = `${searchTerm} created:${window.start}..${window.end}`;
+        const baseQuery = `${searchTerm} created:${window.start}..${window.end}`.trim();
         
         // Add repository count query for this period
-        // ${metric === 'stars' ? 'starCount: nodes(first: 0) { stargazerCount }' : ''}
-        queryString += `
-            ${periodAlias}: search(query: "${baseQuery}", type: REPOSITORY, first: 0) {
-                repositoryCount
-            }
-        `;
+        searches.push({
+            alias: periodAlias,
+            query: baseQuery,
+            type: 'REPOSITORY',
+            selection: 'repositoryCount'
+        });
         
         // Add pull requests and issues if requested
         if (metric === 'prs' || metric === 'all') {
-            queryString += `
-                ${periodAlias}_prs: search(query: "${baseQuery} is:pr", type: ISSUE, first: 0) {
-                    issueCount
-                }
-            `;
+            searches.push({
+                alias: `${periodAlias}_prs`,
+                query: `${baseQuery} is:pr`,
+                type: 'ISSUE',
+                selection: 'issueCount'
+            });
         }
         
         if (metric === 'issues' || metric === 'all') {
-            queryString += `
-                ${periodAlias}_issues: search(query: "${baseQuery} is:issue", type: ISSUE, first: 0) {
-                    issueCount
-                }
-            `;
+            searches.push({
+                alias: `${periodAlias}_issues`,
+                query: `${baseQuery} is:issue`,
+                type: 'ISSUE',
+                selection: 'issueCount'
+            });
         }
     });
     
-    queryString += '}';
-    
     try {
-        const response = await fetch('https://api.github.com/graphql', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${githubToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ query: queryString })
-        });
+        const data = await fetchSearchBatches('TrendSeries', searches, githubToken, options);
         
-        if (!response.ok) {
-            const errorText = await response.text();
-            analyticsService.logError('trend_graphql_api', `Status ${response.status}`);
-            throw new Error(`GitHub GraphQL API returned ${response.status}: ${errorText}`);
-        }
+        // Process and format the results
+        const timeSeriesData = processTimeSeriesData(data, timeWindows, metric);
         
-        const result = await response.json();
+        // Stars and forks need the repositories themselves, fetched window by window
+        if (POPULARITY_METRICS.includes(metric)) {
+            for (let index = 0; index < timeWindows.length; index++) {
+                const popularity = await fetchWindowPopularity(searchTerm, timeWindows[index], githubToken, options);
+                Object.assign(timeSeriesData[index], popularity);
+            }
+        }
         
-        if (result.errors) {
-            analyticsService.logError('trend_graphql_error', result.errors[0].message);
-            throw new Error(`GraphQL Error: ${result.errors[0].message}`);
+        // Windowed H-Index is calculated over the repositories created in each window
+        if (WINDOWED_HINDEX_METRICS[metric]) {
+            for (let index = 0; index < timeWindows.length; index++) {
+                const window = timeWindows[index];
+                const windowed = await calculateWindowedHIndex(
+                    searchTerm,
+                    window.start,
+                    window.end,
+                    WINDOWED_HINDEX_METRICS[metric],
+                    githubToken,
+                    options
+                );
+                timeSeriesData[index][metric] = windowed.hIndex;
+                timeSeriesData[index].exact = windowed.exact;
+            }
         }
         
-        // Process and format the results
-        return processTimeSeriesData(result.data, timeWindows, metric);
+        return timeSeriesData;
     } catch (error) {
-        console.error('Error fetching time series data:', error);
         success = false;
-        analyticsService.logError('trend_fetch', error.message);
+        if (!options.signal?.aborted) {
+            console.error('Error fetching time series data:', error);
+            analyticsService.logError('trend_fetch', error.message);
+        }
         throw error;
     } finally {
         // Log API performance
@@ -97,6 +244,151 @@ export async function fetchTimeSeries(searchTerm, timeWindows, githubToken, metr
     }
 }
 
+/**
+ * Fetch star and fork statistics for repositories created in a single time window
+ * 
+ * @param {string} searchTerm - The search term to analyze
+ * @param {Object} window - Time window ({start, end})
+ * @param {string} githubToken - GitHub API token
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Star/fork totals and medians for the window, and whether they are exact
+ */
+export async function fetchWindowPopularity(searchTerm, window, githubToken, options = {}) {
+    // Partition the window so totals aren't cut off at the search cap
+    const { repos, exact } = await fetchPartitionedRepositories(
+        searchTerm,
+        { createdFrom: window.start, createdTo: window.end, splitByValue: false },
+        githubToken,
+        options
+    );
+    
+    return {
+        starCount: repos.reduce((sum, repo) => sum + repo.stargazers_count, 0),
+        forkCount: repos.reduce((sum, repo) => sum + repo.forks_count, 0),
+        medianStars: calculateMedian(repos, 'stargazers_count'),
+        medianForks: calculateMedian(repos, 'forks_count'),
+        sampledRepositories: repos.length,
+        exact
+    };
+}
+
+/**
+ * Get the value of a trend metric from a time point
+ * 
+ * @param {Object} point - Time point produced by fetchTimeSeries
+ * @param {string} metric - Metric being tracked
+ * @returns {number|undefined} - Value for the metric
+ */
+export function getMetricValue(point, metric) {
+    if (!point) return undefined;
+    
+    switch (metric) {
+        case 'repositories': return point.repositoryCount;
+        case 'stars': return point.starCount;
+        case 'forks': return point.forkCount;
+        case 'medianStars': return point.medianStars;
+        case 'medianForks': return point.medianForks;
+        case 'starHIndex': return point.starHIndex;
+        case 'forkHIndex': return point.forkHIndex;
+        case 'prs': return point.prCount;
+        case 'issues': return point.issueCount;
+        default: return point.repositoryCount;
+    }
+}
+
+/**
+ * List the metrics a time series has values for, e.g. every count fetched with the 'all' metric
+ * 
+ * @param {Array} series - Time series produced by fetchTimeSeries
+ * @returns {Array} - Metrics in display order
+ */
+export function getSeriesMetrics(series) {
+    const metrics = ['repositories', 'stars', 'forks', 'medianStars', 'medianForks', 'starHIndex', 'forkHIndex', 'prs', 'issues'];
+    return metrics.filter(metric => series.some(point => getMetricValue(point, metric) !== undefined));
+}
+
+/**
+ * Project the value of a partial period over the whole period, pro-rated by its elapsed days.
+ * Only totals can be projected; medians and H-Indices don't grow with time.
+ * 
+ * @param {Object} point - Time point produced by fetchTimeSeries
+ * @param {string} metric - Metric being tracked
+ * @returns {number|undefined} - Projected value, or undefined when the point isn't partial
+ */
+export function getProjectedValue(point, metric) {
+    const value = getMetricValue(point, metric);
+    // A share of the baseline doesn't grow with time either
+    if (!point?.partial || point.normalized || !PROJECTABLE_METRICS.includes(metric) || value === undefined || !point.elapsed) {
+        return undefined;
+    }
+    
+    return Math.round(value / point.elapsed);
+}
+
+/**
+ * Get the status of a term's trend data
+ * 
+ * @param {Array|Object} termData - Time series, or {error, status} for a failed term
+ * @returns {string} - Term status (see TERM_STATUS)
+ */
+export function getTermDataStatus(termData) {
+    if (Array.isArray(termData)) {
+        return termData.some(point => point.exact === false) ? TERM_STATUS.PARTIAL : TERM_STATUS.OK;
+    }
+    
+    return termData?.status || TERM_STATUS.NETWORK;
+}
+
+/**
+ * Check whether a trend metric is a windowed H-Index
+ * 
+ * @param {string} metric - Metric being tracked
+ * @returns {boolean} - True for 'starHIndex' and 'forkHIndex'
+ */
+export function isWindowedHIndexMetric(metric) {
+    return Boolean(WINDOWED_HINDEX_METRICS[metric]);
+}
+
+/**
+ * Check whether a trend metric can be normalized by a baseline
+ * 
+ * @param {string} metric - Metric being tracked
+ * @returns {boolean} - True for the repository, pull request and issue counts
+ */
+export function isNormalizableMetric(metric) {
+    return Boolean(COUNT_FIELDS[metric]);
+}
+
+/**
+ * Get a human-readable label for a trend metric
+ * 
+ * @param {string} metric - Metric being tracked
+ * @param {string} shareUnit - Unit of a normalized metric ('percent' or 'per10k'), if normalized
+ * @returns {string} - Display label
+ */
+export function getMetricLabel(metric, shareUnit) {
+    if (shareUnit === 'percent') {
+        return `Share of ${getMetricLabel(metric)} (%)`;
+    }
+    if (shareUnit === 'per10k') {
+        return `${getMetricLabel(metric)} per 10k`;
+    }
+    
+    const labels = {
+        repositories: 'Repositories',
+        stars: 'Total Stars',
+        forks: 'Total Forks',
+        medianStars: 'Median Stars',
+        medianForks: 'Median Forks',
+        starHIndex: 'Star H-Index per Period',
+        forkHIndex: 'Fork H-Index per Period',
+        prs: 'Pull Requests',
+        issues: 'Issues'
+    };
+    
+    return labels[metric] || metric.charAt(0).toUpperCase() + metric.slice(1);
+}
+
 /**
  * Process raw GraphQL response into formatted time series data
  * 
@@ -116,6 +408,12 @@ export function processTimeSeriesData(data, timeWindows, metric) {
             endDate: window.end
         };
         
+        // Counts of the period in progress only cover its elapsed share
+        if (window.partial) {
+            timePoint.partial = true;
+            timePoint.elapsed = getElapsedFraction(window);
+        }
+        
         // Add repository count
         if (data[periodAlias]) {
             timePoint.repositoryCount = data[periodAlias].repositoryCount;
@@ -137,79 +435,176 @@ export function processTimeSeriesData(data, timeWindows, metric) {
     return timeSeriesData;
 }
 
+// Months per calendar period, and days per fixed-length period
+const PERIOD_MONTHS = { year: 12, quarter: 3, month: 1 };
+const PERIOD_DAYS = { week: 7, day: 1 };
+
+// Default rolling window: a trailing 30 days, recomputed every 7 days
+export const DEFAULT_ROLLING_WINDOW = { windowDays: 30, stepDays: 7 };
+
+// Most periods a single trend analysis may cover
+export const MAX_TIME_WINDOWS = 400;
+
+/**
+ * Check that the time windows of a range can be analyzed
+ * 
+ * @param {Array} timeWindows - Time windows generated for the range
+ * @returns {string|null} - Error message for an empty or oversized range, or null if it is usable
+ */
+export function validateTimeWindows(timeWindows) {
+    if (timeWindows.length === 0) {
+        return 'The selected date range contains no complete periods';
+    }
+    
+    if (timeWindows.length > MAX_TIME_WINDOWS) {
+        return `The selected date range spans ${timeWindows.length} periods; choose a shorter range or a coarser granularity (at most ${MAX_TIME_WINDOWS})`;
+    }
+    
+    return null;
+}
+
+/**
+ * Turn the start or end of a range into a date; a bare year covers the whole year
+ * 
+ * @param {string|number} value - Year (e.g. 2020) or date in YYYY-MM-DD format
+ * @param {string} edge - Which end of the range the value is ('start' or 'end')
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function toRangeDate(value, edge) {
+    const text = String(value);
+    if (/^\d{4}$/.test(text)) {
+        return edge === 'start' ? `${text}-01-01` : `${text}-12-31`;
+    }
+    
+    return text;
+}
+
+/**
+ * Get the start of the calendar period that contains a date
+ * 
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} granularity - Period type ('year', 'quarter', 'month', 'week', 'day')
+ * @returns {string} - Start of the period in YYYY-MM-DD format (weeks start on Monday)
+ */
+function getPeriodStart(date, granularity) {
+    const day = new Date(`${date}T00:00:00Z`);
+    
+    if (PERIOD_MONTHS[granularity]) {
+        const month = day.getUTCMonth() - day.getUTCMonth() % PERIOD_MONTHS[granularity];
+        return new Date(Date.UTC(day.getUTCFullYear(), month, 1)).toISOString().slice(0, 10);
+    }
+    
+    if (granularity === 'week') {
+        return addDays(date, -((day.getUTCDay() + 6) % 7));
+    }
+    
+    return date;
+}
+
 /**
- * Generate time windows for analysis
+ * Get the start of the period following the one that starts on a date
  * 
- * @param {string} startYear - Starting year
- * @param {string} endYear - Ending year
- * @param {string} granularity - Time granularity ('year', 'quarter', 'month')
+ * @param {string} periodStart - Start of a period in YYYY-MM-DD format
+ * @param {string} granularity - Period type ('year', 'quarter', 'month', 'week', 'day')
+ * @returns {string} - Start of the next period in YYYY-MM-DD format
+ */
+function getNextPeriodStart(periodStart, granularity) {
+    if (PERIOD_MONTHS[granularity]) {
+        const day = new Date(`${periodStart}T00:00:00Z`);
+        return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + PERIOD_MONTHS[granularity], 1))
+            .toISOString().slice(0, 10);
+    }
+    
+    return addDays(periodStart, PERIOD_DAYS[granularity]);
+}
+
+/**
+ * Generate time windows for analysis. Calendar periods are aligned to their natural start
+ * (January 1, the first of a quarter or month, Monday or the day itself) and included when
+ * they overlap the range, with the first and last ones clipped to the range so nothing
+ * outside it is counted; rolling windows slide across the range in fixed steps.
+ * Periods that haven't ended yet are skipped since they are incomplete, unless includeCurrent
+ * is set: then the period in progress today is kept and marked as partial.
+ * 
+ * @param {string|number} start - Start of the range: a year or a date in YYYY-MM-DD format
+ * @param {string|number} end - End of the range: a year or a date in YYYY-MM-DD format
+ * @param {string} granularity - Time granularity ('year', 'quarter', 'month', 'week', 'day' or 'rolling')
+ * @param {Object} rolling - Rolling window size and step in days ({windowDays, stepDays})
+ * @param {boolean} includeCurrent - Whether to include the period in progress
  * @returns {Array} - Array of time window objects
  */
-export function generateTimeWindows(startYear, endYear, granularity = 'year') {
+export function generateTimeWindows(start, end, granularity = 'year', rolling = DEFAULT_ROLLING_WINDOW, includeCurrent = false) {
     const timeWindows = [];
-    const currentDate = new Date();
-    const currentYear = currentDate.getFullYear();
-    const currentMonth = currentDate.getMonth() + 1; // JavaScript months are 0-indexed
-    
-    // Calculate current quarter (1-4)
-    const currentQuarter = Math.ceil(currentMonth / 3);
-    
-    if (granularity === 'year') {
-        // Generate yearly windows
-        for (let year = parseInt(startYear); year <= parseInt(endYear); year++) {
-            // Skip current year since it's incomplete
-            if (year === currentYear) {
-                continue;
-            }
-            
+    const rangeStart = toRangeDate(start, 'start');
+    const rangeEnd = toRangeDate(end, 'end');
+    const today = new Date().toISOString().slice(0, 10);
+    
+    if (granularity === 'rolling') {
+        const windowDays = Math.max(parseInt(rolling.windowDays) || DEFAULT_ROLLING_WINDOW.windowDays, 1);
+        const stepDays = Math.max(parseInt(rolling.stepDays) || DEFAULT_ROLLING_WINDOW.stepDays, 1);
+        
+        let windowEnd = addDays(rangeStart, windowDays - 1);
+        for (; windowEnd <= rangeEnd && windowEnd < today; windowEnd = addDays(windowEnd, stepDays)) {
             timeWindows.push({
-                start: `${year}-01-01`,
-                end: `${year}-12-31`
+                start: addDays(windowEnd, 1 - windowDays),
+                end: windowEnd,
+                rolling: true
             });
         }
-    } else if (granularity === 'quarter') {
-        // Generate quarterly windows
-        for (let year = parseInt(startYear); year <= parseInt(endYear); year++) {
-            for (let quarter = 1; quarter <= 4; quarter++) {
-                // Skip current quarter and beyond in current year
-                if (year === currentYear && quarter >= currentQuarter) {
-                    continue;
-                }
-                
-                const startMonth = (quarter - 1) * 3 + 1;
-                const endMonth = quarter * 3;
-                const endDay = endMonth === 2 ? (isLeapYear(year) ? 29 : 28) : 
-                            [4, 6, 9, 11].includes(endMonth) ? 30 : 31;
-                
-                timeWindows.push({
-                    start: `${year}-${String(startMonth).padStart(2, '0')}-01`,
-                    end: `${year}-${String(endMonth).padStart(2, '0')}-${endDay}`
-                });
-            }
+        
+        // The next window is in progress if it has started by today
+        const windowStart = addDays(windowEnd, 1 - windowDays);
+        if (includeCurrent && windowEnd >= today && windowStart <= today && windowStart <= rangeEnd) {
+            timeWindows.push({ start: windowStart, end: windowEnd, rolling: true, partial: true });
         }
-    } else if (granularity === 'month') {
-        // Generate monthly windows
-        for (let year = parseInt(startYear); year <= parseInt(endYear); year++) {
-            for (let month = 1; month <= 12; month++) {
-                // Skip current month and beyond in current year
-                if (year === currentYear && month >= currentMonth) {
-                    continue;
-                }
-                
-                const endDay = month === 2 ? (isLeapYear(year) ? 29 : 28) : 
-                            [4, 6, 9, 11].includes(month) ? 30 : 31;
-                
-                timeWindows.push({
-                    start: `${year}-${String(month).padStart(2, '0')}-01`,
-                    end: `${year}-${String(month).padStart(2, '0')}-${endDay}`
-                });
+        
+        return timeWindows;
+    }
+    
+    if (!PERIOD_MONTHS[granularity] && !PERIOD_DAYS[granularity]) {
+        return timeWindows;
+    }
+    
+    for (let periodStart = getPeriodStart(rangeStart, granularity);
+        periodStart <= rangeEnd;
+        periodStart = getNextPeriodStart(periodStart, granularity)) {
+        const periodEnd = addDays(getNextPeriodStart(periodStart, granularity), -1);
+        
+        // Clip the periods at either end of the range; their labels then show the exact dates
+        const windowStart = periodStart < rangeStart ? rangeStart : periodStart;
+        const windowEnd = periodEnd > rangeEnd ? rangeEnd : periodEnd;
+        
+        // Skip the current period and beyond since they are incomplete
+        if (windowEnd >= today) {
+            if (includeCurrent && windowStart <= today) {
+                timeWindows.push({ start: windowStart, end: windowEnd, partial: true });
             }
+            break;
         }
+        
+        timeWindows.push({
+            start: windowStart,
+            end: windowEnd
+        });
     }
     
     return timeWindows;
 }
 
+/**
+ * Get the share of a time window that has elapsed
+ * 
+ * @param {Object} window - Time window object ({start, end})
+ * @param {Date} now - Current time
+ * @returns {number} - Elapsed share, between 0 and 1
+ */
+export function getElapsedFraction(window, now = new Date()) {
+    const start = Date.parse(`${window.start}T00:00:00Z`);
+    const end = Date.parse(`${addDays(window.end, 1)}T00:00:00Z`);
+    
+    return Math.min(Math.max((now.getTime() - start) / (end - start), 0), 1);
+}
+
 /**
  * Check if a year is a leap year
  * 
@@ -221,36 +616,79 @@ export function isLeapYear(year) {
 }
 
 /**
- * Format a period label for display
+ * Determine which kind of period a time window is
  * 
- * @param {Object} window - Time window object
- * @returns {string} - Formatted label
+ * @param {Object} window - Time window object ({start, end, rolling})
+ * @returns {string} - 'year', 'quarter', 'month', 'week', 'day', 'rolling' or 'custom'
  */
-export function formatPeriodLabel(window) {
-    const startDate = new Date(window.start);
-    const endDate = new Date(window.end);
-    
-    // If start and end are in the same month
-    if (startDate.getFullYear() === endDate.getFullYear() && 
-        startDate.getMonth() === endDate.getMonth()) {
-        return `${startDate.toLocaleString('default', { month: 'short' })} ${startDate.getFullYear()}`;
+function getWindowShape(window) {
+    // A rolling window can happen to line up with a calendar period
+    if (window.rolling) {
+        return 'rolling';
     }
     
-    // If start and end are in the same year but different quarters
-    if (startDate.getFullYear() === endDate.getFullYear() && 
-        Math.floor(startDate.getMonth() / 3) === Math.floor(endDate.getMonth() / 3)) {
-        const quarter = Math.floor(startDate.getMonth() / 3) + 1;
-        return `Q${quarter} ${startDate.getFullYear()}`;
+    if (window.start === window.end) {
+        return 'day';
     }
     
-    // If start and end span a full year
-    if (startDate.getMonth() === 0 && startDate.getDate() === 1 && 
-        endDate.getMonth() === 11 && endDate.getDate() === 31) {
-        return `${startDate.getFullYear()}`;
+    // Calendar periods start on their natural boundary and end the day before the next one
+    for (const granularity of ['year', 'quarter', 'month', 'week']) {
+        if (getPeriodStart(window.start, granularity) === window.start &&
+            addDays(getNextPeriodStart(window.start, granularity), -1) === window.end) {
+            return granularity;
+        }
     }
     
-    // Default: show range
-    return `${startDate.toLocaleDateString()} - ${endDate.toLocaleDateString()}`;
+    return 'custom';
+}
+
+/**
+ * Get the ISO 8601 week number and week-numbering year of a date
+ * 
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object} - Object containing week and year
+ */
+function getIsoWeek(date) {
+    // The Thursday of a week determines its year
+    const thursday = new Date(`${addDays(getPeriodStart(date, 'week'), 3)}T00:00:00Z`);
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    
+    return { week, year };
+}
+
+/**
+ * Format a period label for display
+ * 
+ * @param {Object} window - Time window object
+ * @returns {string} - Formatted label
+ */
+export function formatPeriodLabel(window) {
+    const startDate = new Date(`${window.start}T00:00:00Z`);
+    const endDate = new Date(`${window.end}T00:00:00Z`);
+    const formatDay = (date, options = {}) => date.toLocaleDateString('default', {
+        month: 'short', day: 'numeric', timeZone: 'UTC', ...options
+    });
+    
+    switch (getWindowShape(window)) {
+        case 'year':
+            return `${startDate.getUTCFullYear()}`;
+        case 'quarter':
+            return `Q${Math.floor(startDate.getUTCMonth() / 3) + 1} ${startDate.getUTCFullYear()}`;
+        case 'month':
+            return `${startDate.toLocaleString('default', { month: 'short', timeZone: 'UTC' })} ${startDate.getUTCFullYear()}`;
+        case 'week': {
+            const { week, year } = getIsoWeek(window.start);
+            return `W${week} ${year}`;
+        }
+        case 'day':
+            return formatDay(startDate, { year: 'numeric' });
+        default:
+            // Rolling and other ranges
+            return startDate.getUTCFullYear() === endDate.getUTCFullYear()
+                ? `${formatDay(startDate)} – ${formatDay(endDate, { year: 'numeric' })}`
+                : `${formatDay(startDate, { year: 'numeric' })} – ${formatDay(endDate, { year: 'numeric' })}`;
+    }
 }
 
 /**
@@ -261,111 +699,38 @@ export function formatPeriodLabel(window) {
  * @param {string} endDate - End date of window
  * @param {string} property - Property to calculate H-Index on ('stargazers_count' or 'forks_count')
  * @param {string} githubToken - GitHub API token
- * @returns {Promise<number>} - Windowed H-Index
+ * @param {Object} options - Optional request options ({signal, onProgress})
+ * @returns {Promise<Object>} - Windowed H-Index and whether it is exact or a lower bound
  */
-export async function calculateWindowedHIndex(searchTerm, startDate, endDate, property, githubToken) {
+export async function calculateWindowedHIndex(searchTerm, startDate, endDate, property, githubToken, options = {}) {
     if (!githubToken) {
         analyticsService.logError('windowed_hindex', 'Missing GitHub token');
-        throw new Error('GitHub token is required for windowed H-Index calculation');
+        throw new GitHubApiError('GitHub token is required for windowed H-Index calculation', { status: 401 });
     }
     
     const startTime = performance.now();
     let success = true;
     
-    // Map REST API property names to GraphQL property names
-    const propertyMap = {
-        'stargazers_count': 'stargazerCount',
-        'forks_count': 'forkCount'
-    };
-    
-    const graphqlProperty = propertyMap[property] || property;
-    
-    let allRepos = [];
-    let hasNextPage = true;
-    let endCursor = null;
-    
-    // GraphQL API endpoint
-    const url = 'https://api.github.com/graphql';
-    
-    while (hasNextPage) {
-        // Construct the pagination part of the query
-        const afterClause = endCursor ? `, after: "${endCursor}"` : '';
-        
-        // Build the GraphQL query filtered by creation date
-        const query = `
-        query {
-          search(
-            query: "${searchTerm} created:${startDate}..${endDate}"
-            type: REPOSITORY
-            first: 100
-            ${afterClause}
-          ) {
-            repositoryCount
-            pageInfo {
-              hasNextPage
-              endCursor
-            }
-            nodes {
-              ... on Repository {
-                id
-                stargazerCount
-                forkCount
-              }
-            }
-          }
-        }`;
+    try {
+        const result = await fetchExactHIndex(
+            searchTerm,
+            { createdFrom: startDate, createdTo: endDate },
+            property,
+            githubToken,
+            options
+        );
         
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${githubToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ query })
-            });
-            
-            if (!response.ok) {
-                throw new Error(`GitHub GraphQL API returned ${response.status}`);
-            }
-            
-            const result = await response.json();
-            
-            if (result.errors) {
-                throw new Error(`GraphQL Error: ${result.errors[0].message}`);
-            }
-            
-            const searchData = result.data.search;
-            
-            // Transform GraphQL data to match the expected format for H-Index calculation
-            const repos = searchData.nodes.map(node => ({
-                id: node.id,
-                stargazers_count: node.stargazerCount,
-                forks_count: node.forkCount
-            }));
-            
-            allRepos = [...allRepos, ...repos];
-            
-            // Update pagination info for next iteration
-            hasNextPage = searchData.pageInfo.hasNextPage;
-            endCursor = searchData.pageInfo.endCursor;
-            
-            // Stop fetching more data if we have enough repos or reached the API limit
-            if (allRepos.length >= 1000) {
-                break;
-            }
-        } catch (error) {
+        return {
+            hIndex: result.hIndex,
+            exact: result.exact
+        };
+    } catch (error) {
+        success = false;
+        if (!options.signal?.aborted) {
             console.error('GraphQL fetch error:', error);
-            success = false;
             analyticsService.logError('windowed_hindex_fetch', error.message);
-            throw error;
         }
-    }
-    
-    try {
-        // Calculate H-Index using the imported utility function
-        const hIndex = calculateHIndex(allRepos, property);
-        return hIndex;
+        throw error;
     } finally {
         // Log API performance
         const duration = performance.now() - startTime;
@@ -373,52 +738,43 @@ export async function calculateWindowedHIndex(searchTerm, startDate, endDate, pr
     }
 }
 
-/**
- * Compare multiple search terms over time
- * 
- * @param {Array} searchTerms - Array of search terms to compare
- * @param {Array} timeWindows - Array of time windows
- * @param {string} metric - Metric to track
- * @param {string} githubToken - GitHub API token
- * @returns {Object} - Comparative time series data
- */
 /**
  * Determine granularity from time windows
  * @param {Array} timeWindows - Array of time windows
- * @returns {string} - Granularity ('year', 'quarter', 'month', or 'unknown')
+ * @returns {string} - Granularity ('year', 'quarter', 'month', 'week', 'day', 'rolling', 'custom' or 'unknown')
  */
 function getGranularityFromWindows(timeWindows) {
     if (!timeWindows || timeWindows.length === 0) return 'unknown';
     
-    // Check the first window
-    const window = timeWindows[0];
-    const start = new Date(window.start);
-    const end = new Date(window.end);
-    
-    // Check if it's a full year
-    if (start.getMonth() === 0 && start.getDate() === 1 && 
-        end.getMonth() === 11 && end.getDate() === 31 && 
-        start.getFullYear() === end.getFullYear()) {
-        return 'year';
-    }
-    
-    // Check if it's a quarter (3 months)
-    const monthDiff = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth();
-    if (monthDiff === 2 && start.getDate() === 1) {
-        return 'quarter';
-    }
-    
-    // Check if it's a month
-    if (start.getFullYear() === end.getFullYear() && 
-        start.getMonth() === end.getMonth() && 
-        start.getDate() === 1) {
-        return 'month';
+    // Rolling windows overlap their successor
+    if (timeWindows.length > 1 && timeWindows[1].start <= timeWindows[0].end) {
+        return 'rolling';
     }
     
-    return 'custom';
+    // The first and last windows may be clipped to the range, so look for a whole period
+    const shapes = timeWindows.map(getWindowShape);
+    return shapes.find(shape => shape !== 'custom') || 'custom';
 }
 
-export async function compareSearchTerms(searchTerms, timeWindows, metric, githubToken) {
+/**
+ * Compare multiple search terms over time
+ * 
+ * @param {Array} searchTerms - Array of search terms to compare
+ * @param {Array} timeWindows - Array of time windows
+ * @param {string} metric - Metric to track
+ * @param {string} githubToken - GitHub API token
+ * @param {string} globalFilters - Qualifiers appended to every term unless the term overrides them
+ * @param {Object} options - Optional execution options
+ * @param {AbortSignal} options.signal - Stops in-flight requests; terms that didn't finish are left out
+ * @param {Function} options.onProgress - Called with ({term, index, total, reposFetched}) after each request
+ * @param {Function} options.onTermResult - Called with (term, data) as soon as each term finishes,
+ *                                           where data is the time series or {error, status}
+ * @param {number} options.concurrency - Maximum number of terms fetched at once
+ * @param {Object} options.budget - Most aliased searches and estimated cost per request ({maxNodes, maxCost})
+ * @returns {Object} - Comparative time series data, keyed by search term
+ */
+export async function compareSearchTerms(searchTerms, timeWindows, metric, githubToken, globalFilters = '', options = {}) {
+    const { signal, onProgress, onTermResult, concurrency, budget } = options;
     const results = {};
     
     // Log the trend analysis request
@@ -429,17 +785,88 @@ export async function compareSearchTerms(searchTerms, timeWindows, metric, githu
         showTrendAnalysis: true
     });
     
-    // Fetch data for each search term
-    for (const term of searchTerms) {
-        try {
-            const termData = await fetchTimeSeries(term, timeWindows, githubToken, metric);
-            results[term] = termData;
-        } catch (error) {
-            console.error(`Error fetching data for term "${term}":`, error);
-            analyticsService.logError('trend_term_fetch', `Term: ${term}, Error: ${error.message}`);
-            results[term] = { error: error.message };
+    // Turn the outcome of a term into its time series, or an error entry
+    const toTermData = (term, outcome) => {
+        if (outcome.status === 'fulfilled') {
+            return outcome.value;
         }
-    }
+        
+        console.error(`Error fetching data for term "${term}":`, outcome.reason);
+        analyticsService.logError('trend_term_fetch', `Term: ${term}, Error: ${outcome.reason.message}`);
+        return { error: outcome.reason.message, status: getErrorStatus(outcome.reason) };
+    };
+    
+    // Fetch data for several search terms at once, reporting each term as it finishes
+    await runConcurrently(searchTerms, (term, index) => {
+        const query = applyGlobalFilters(term, globalFilters);
+        return fetchTimeSeries(query, timeWindows, githubToken, metric, {
+            signal,
+            budget,
+            onProgress: update => onProgress?.({ term, index, total: searchTerms.length, ...update })
+        });
+    }, {
+        concurrency,
+        signal,
+        onSettled: (outcome, index) => {
+            const term = searchTerms[index];
+            results[term] = toTermData(term, outcome);
+            onTermResult?.(term, results[term]);
+        }
+    });
     
-    return results;
+    // Keep the order of the search terms; cancelled terms are left out
+    return Object.fromEntries(
+        searchTerms.filter(term => results[term]).map(term => [term, results[term]])
+    );
+}
+
+/**
+ * Fetch the baseline that trend counts are normalized by: every repository (or pull request
+ * or issue) created in each window, or those matching a reference term. Global filters apply
+ * to the baseline too, so terms are compared with the same slice of GitHub.
+ * 
+ * @param {string} referenceTerm - Reference term, or an empty string for all of GitHub
+ * @param {Array} timeWindows - Array of time windows
+ * @param {string} metric - Count metric to track ('repositories', 'prs' or 'issues')
+ * @param {string} githubToken - GitHub API token
+ * @param {string} globalFilters - Qualifiers appended to the reference term unless it overrides them
+ * @param {Object} options - Optional request options ({signal, onProgress, budget})
+ * @returns {Promise<Array>} - Baseline time series
+ */
+export async function fetchBaselineSeries(referenceTerm, timeWindows, metric, githubToken, globalFilters = '', options = {}) {
+    const query = applyGlobalFilters(referenceTerm, globalFilters);
+    return fetchTimeSeries(query, timeWindows, githubToken, metric, options);
+}
+
+/**
+ * Divide each term's counts by the baseline count of the same window
+ * 
+ * @param {Object} chartData - Comparative time series data, keyed by search term
+ * @param {Array} baselineSeries - Baseline time series for the same windows
+ * @param {string} metric - Count metric being tracked
+ * @param {string} shareUnit - Unit of the share ('percent' or 'per10k')
+ * @returns {Object} - Chart data with the metric replaced by its share; windows without a
+ *                     baseline count have no value
+ */
+export function normalizeChartData(chartData, baselineSeries, metric, shareUnit = 'percent') {
+    const field = COUNT_FIELDS[metric];
+    const scale = SHARE_SCALES[shareUnit] || SHARE_SCALES.percent;
+    
+    return Object.fromEntries(Object.entries(chartData).map(([term, termData]) => {
+        if (!Array.isArray(termData)) {
+            return [term, termData];
+        }
+        
+        return [term, termData.map((point, index) => {
+            const baseline = getMetricValue(baselineSeries[index], metric);
+            const share = baseline ? point[field] / baseline * scale : undefined;
+            
+            return {
+                ...point,
+                [field]: share === undefined ? undefined : Number(share.toPrecision(4)),
+                baselineCount: baseline,
+                normalized: true
+            };
+        })];
+    }));
 }
@@ -0,0 +1,123 @@
+/**
+ * Breakdown utilities - Language mix and common topics of a list of repositories
+ */
+
+// Bar colors for the most common languages, in order
+export const LANGUAGE_COLORS = ['#36A2EB', '#FF6384', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#8BC34A', '#E91E63', '#9E9E9E'];
+
+/**
+ * Count the repositories per primary language, keeping the most common ones
+ * @param {Array} repos - Array of repository objects (with language)
+ * @param {number} count - Number of languages to keep; the rest are grouped as 'Other'
+ * @returns {Array} Languages ({name, count, share}), most common first
+ */
+export function summarizeLanguages(repos, count = 8) {
+    const counts = new Map();
+    repos.forEach(repo => {
+        const name = repo.language || 'None';
+        counts.set(name, (counts.get(name) || 0) + 1);
+    });
+
+    const languages = [...counts.entries()]
+        .map(([name, repoCount]) => ({ name, count: repoCount }))
+        .sort((a, b) => b.count - a.count);
+
+    const kept = languages.slice(0, count);
+    const otherCount = languages.slice(count).reduce((sum, language) => sum + language.count, 0);
+    if (otherCount > 0) {
+        kept.push({ name: 'Other', count: otherCount });
+    }
+
+    return kept.map(language => ({
+        ...language,
+        share: repos.length ? language.count / repos.length : 0
+    }));
+}
+
+/**
+ * Count how many repositories carry each topic
+ * @param {Array} repos - Array of repository objects (with topics)
+ * @param {number} count - Number of topics to return
+ * @param {Array} exclude - Topics to leave out (e.g. the searched topic itself)
+ * @returns {Array} Topics ({name, count}), most common first
+ */
+export function summarizeTopics(repos, count = 15, exclude = []) {
+    const excluded = new Set(exclude.map(topic => topic.toLowerCase()));
+    const counts = new Map();
+
+    repos.forEach(repo => {
+        (repo.topics || []).forEach(topic => {
+            if (!excluded.has(topic.toLowerCase())) {
+                counts.set(topic, (counts.get(topic) || 0) + 1);
+            }
+        });
+    });
+
+    return [...counts.entries()]
+        .map(([name, repoCount]) => ({ name, count: repoCount }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, count);
+}
+
+/**
+ * Check whether repositories carry language and topic data
+ * @param {Array} repos - Array of repository objects
+ * @returns {boolean} True when at least one repository has a language or topics field
+ */
+export function hasBreakdownData(repos) {
+    return repos.some(repo => repo.language !== undefined || repo.topics !== undefined);
+}
+
+/**
+ * Get the words and topic: values of a search term, which its repositories trivially share
+ * @param {string} searchTerm - Search term
+ * @returns {Array} Topics to leave out of the co-occurring topics
+ */
+export function getTermTopics(searchTerm) {
+    return searchTerm.split(/\s+/).map(token => token.replace(/^topic:/i, '')).filter(token => token);
+}
+
+/**
+ * Compare the language mix of several terms on a shared set of languages
+ * @param {Array} results - Term results with their repositories ({searchTerm, repos})
+ * @param {number} count - Number of languages to compare; the rest are grouped as 'Other'
+ * @returns {Object} Compared languages (names, most common first) and rows ({searchTerm, total, shares})
+ */
+export function compareLanguages(results, count = 8) {
+    const perTerm = results.map(result => ({
+        searchTerm: result.searchTerm,
+        total: result.repos.length,
+        languages: summarizeLanguages(result.repos, Infinity)
+    }));
+
+    // Rank languages by their summed share, so a small term counts as much as a large one
+    const totals = new Map();
+    perTerm.forEach(term => term.languages.forEach(language => {
+        totals.set(language.name, (totals.get(language.name) || 0) + language.share);
+    }));
+    const languages = [...totals.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, count)
+        .map(([name]) => name);
+
+    const rows = perTerm.map(term => {
+        const shares = Object.fromEntries(languages.map(name => [name, 0]));
+        let other = 0;
+        term.languages.forEach(language => {
+            if (language.name in shares) {
+                shares[language.name] = language.share;
+            } else {
+                other += language.share;
+            }
+        });
+        if (other > 0) shares.Other = other;
+
+        return { searchTerm: term.searchTerm, total: term.total, shares };
+    });
+
+    const hasOther = rows.some(row => row.shares.Other > 0);
+    return {
+        languages: hasOther ? [...languages, 'Other'] : languages,
+        rows
+    };
+}
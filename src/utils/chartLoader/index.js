@@ -0,0 +1,32 @@
+/**
+ * Loads Chart.js from the CDN once and shares it between chart components
+ */
+
+const CHART_JS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js';
+
+let chartJsPromise = null;
+
+/**
+ * Load Chart.js if it isn't available yet
+ * @returns {Promise<Function>} The Chart constructor
+ */
+export function loadChartJs() {
+    if (window.Chart) return Promise.resolve(window.Chart);
+
+    if (!chartJsPromise) {
+        chartJsPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CHART_JS_URL;
+            script.async = true;
+            script.onload = () => resolve(window.Chart);
+            script.onerror = () => {
+                // Allow a later render to try again
+                chartJsPromise = null;
+                reject(new Error('Failed to load Chart.js'));
+            };
+            document.body.appendChild(script);
+        });
+    }
+
+    return chartJsPromise;
+}
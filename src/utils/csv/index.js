@@ -0,0 +1,30 @@
+/**
+ * CSV utilities - Build and download CSV exports in the browser
+ */
+
+/**
+ * Quote a CSV cell if it contains separators or quotes
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+export function toCsvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download CSV text as a file
+ * @param {string} csv - CSV content
+ * @param {string} filename - Name of the downloaded file
+ */
+export function downloadCsv(csv, filename) {
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.setAttribute('hidden', '');
+    a.setAttribute('href', url);
+    a.setAttribute('download', filename);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+}
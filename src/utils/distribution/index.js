@@ -0,0 +1,108 @@
+/**
+ * Distribution utilities - Describe how stars or forks are spread across a list of repositories
+ */
+
+/**
+ * Get the values of a property sorted in ascending order
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - Property to read (e.g., 'stargazers_count')
+ * @returns {Array} Sorted values
+ */
+function getAscendingValues(repos, property) {
+    return repos.map(repo => repo[property] || 0).sort((a, b) => a - b);
+}
+
+/**
+ * Group values into logarithmic (power of two) bins: 0, 1, 2–3, 4–7, 8–15, ...
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - Property to bin
+ * @returns {Array} Bins ({min, max, label, count}) from the lowest to the highest value
+ */
+export function buildLogHistogram(repos, property) {
+    const values = getAscendingValues(repos, property);
+    if (values.length === 0) return [];
+
+    const bins = [{ min: 0, max: 0, label: '0', count: 0 }];
+    for (let min = 1; min <= values[values.length - 1]; min *= 2) {
+        const max = min * 2 - 1;
+        bins.push({ min, max, label: min === max ? `${min}` : `${min}–${max}`, count: 0 });
+    }
+
+    values.forEach(value => {
+        const index = value === 0 ? 0 : Math.floor(Math.log2(value)) + 1;
+        bins[index].count++;
+    });
+
+    return bins;
+}
+
+/**
+ * Calculate a percentile using the nearest-rank method
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - Property to take the percentile of
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number} Value at the percentile, or 0 for an empty list
+ */
+export function calculatePercentile(repos, property, percentile) {
+    const values = getAscendingValues(repos, property);
+    if (values.length === 0) return 0;
+
+    const rank = Math.max(Math.ceil(percentile / 100 * values.length), 1);
+    return values[rank - 1];
+}
+
+/**
+ * Calculate the Gini coefficient: 0 when every repository has the same value,
+ * approaching 1 when a single repository holds everything
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - Property to measure
+ * @returns {number} Gini coefficient rounded to three decimals
+ */
+export function calculateGini(repos, property) {
+    const values = getAscendingValues(repos, property);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (total === 0) return 0;
+
+    const n = values.length;
+    const weightedSum = values.reduce((sum, value, index) => sum + (index + 1) * value, 0);
+    const gini = (2 * weightedSum) / (n * total) - (n + 1) / n;
+
+    return Math.round(gini * 1000) / 1000;
+}
+
+/**
+ * Calculate the share of the total held by the top fraction of repositories
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - Property to measure
+ * @param {number} fraction - Top fraction of repositories, e.g. 0.01 for the top 1%
+ * @returns {number} Share between 0 and 1
+ */
+export function calculateTopShare(repos, property, fraction) {
+    const values = getAscendingValues(repos, property).reverse();
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (total === 0) return 0;
+
+    const topCount = Math.max(Math.ceil(values.length * fraction), 1);
+    const topSum = values.slice(0, topCount).reduce((sum, value) => sum + value, 0);
+
+    return topSum / total;
+}
+
+/**
+ * Summarize the distribution of a property across repositories
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - Property to summarize ('stargazers_count' or 'forks_count')
+ * @returns {Object} Object containing histogram, p50, p90, p99, gini, top1Share, top10Share and total
+ */
+export function summarizeDistribution(repos, property) {
+    return {
+        histogram: buildLogHistogram(repos, property),
+        p50: calculatePercentile(repos, property, 50),
+        p90: calculatePercentile(repos, property, 90),
+        p99: calculatePercentile(repos, property, 99),
+        gini: calculateGini(repos, property),
+        top1Share: calculateTopShare(repos, property, 0.01),
+        top10Share: calculateTopShare(repos, property, 0.1),
+        total: repos.reduce((sum, repo) => sum + (repo[property] || 0), 0)
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * Error utilities - Classify failed GitHub requests so every view can report
+ * the same per-term status
+ */
+
+// Status of a search term's result
+export const TERM_STATUS = {
+    OK: 'ok',
+    PARTIAL: 'partial',
+    RATE_LIMITED: 'rate-limited',
+    AUTH: 'auth',
+    INVALID_QUERY: 'invalid-query',
+    NETWORK: 'network'
+};
+
+// Short labels and hints for each status
+const STATUS_DESCRIPTIONS = {
+    [TERM_STATUS.OK]: { label: 'OK', hint: '' },
+    [TERM_STATUS.PARTIAL]: {
+        label: 'Partial',
+        hint: 'Some values are lower bounds because GitHub search returned too many results'
+    },
+    [TERM_STATUS.RATE_LIMITED]: {
+        label: 'Rate limited',
+        hint: 'The GitHub API quota ran out; retry once it has reset'
+    },
+    [TERM_STATUS.AUTH]: {
+        label: 'Authentication',
+        hint: 'Sign in with GitHub again or check the token\'s access'
+    },
+    [TERM_STATUS.INVALID_QUERY]: {
+        label: 'Invalid query',
+        hint: 'GitHub rejected the search; check the qualifiers of this term'
+    },
+    [TERM_STATUS.NETWORK]: {
+        label: 'Network',
+        hint: 'GitHub could not be reached or failed to respond'
+    }
+};
+
+/**
+ * Error thrown for a failed GitHub API request
+ */
+export class GitHubApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Request details
+     * @param {number} details.status - HTTP status of the response, if any
+     * @param {string} details.type - GraphQL error type, if any (e.g. 'RATE_LIMITED')
+     */
+    constructor(message, { status = null, type = null } = {}) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.status = status;
+        this.type = type;
+    }
+}
+
+/**
+ * Determine the term status that an error represents
+ * @param {Error} error - Error thrown while fetching a term
+ * @returns {string} One of the failure TERM_STATUS values
+ */
+export function getErrorStatus(error) {
+    const status = error?.status;
+    const type = error?.type;
+    const message = error?.message || '';
+
+    if (type === 'RATE_LIMITED' || status === 429 || /rate limit/i.test(message)) {
+        return TERM_STATUS.RATE_LIMITED;
+    }
+
+    if (status === 401 || status === 403 || type === 'FORBIDDEN' || /bad credentials/i.test(message)) {
+        return TERM_STATUS.AUTH;
+    }
+
+    if (status === 422 || (type && !status) || (status >= 400 && status < 500)) {
+        return TERM_STATUS.INVALID_QUERY;
+    }
+
+    // Failed fetches (TypeError), server errors and anything unexpected
+    return TERM_STATUS.NETWORK;
+}
+
+/**
+ * Describe a term status for display
+ * @param {string} status - Term status
+ * @returns {Object} Object containing label and hint
+ */
+export function describeTermStatus(status) {
+    return STATUS_DESCRIPTIONS[status] || STATUS_DESCRIPTIONS[TERM_STATUS.NETWORK];
+}
+
+/**
+ * Check whether a term status means the term failed
+ * @param {string} status - Term status
+ * @returns {boolean} True unless the term has (possibly partial) results
+ */
+export function isFailedStatus(status) {
+    return Boolean(status) && status !== TERM_STATUS.OK && status !== TERM_STATUS.PARTIAL;
+}
@@ -0,0 +1,79 @@
+/**
+ * Utility functions for building parameterized GraphQL documents
+ */
+
+/**
+ * Build a single GraphQL operation that runs several aliased searches, each with
+ * its own query variable, so search strings are never pasted into the document.
+ * Searches only return counts unless they ask for nodes with `first`.
+ *
+ * @param {string} operationName - Name of the GraphQL operation
+ * @param {Array} searches - Searches to run ({alias, query, type, selection, first})
+ * @returns {Object} Object containing the GraphQL document (query) and its variables
+ */
+export function buildAliasedSearchQuery(operationName, searches) {
+    const variables = {};
+    const definitions = [];
+    const fields = [];
+    
+    searches.forEach(({ alias, query, type, selection, first = 0 }) => {
+        const variableName = `${alias}Query`;
+        
+        variables[variableName] = query;
+        definitions.push(`$${variableName}: String!`);
+        fields.push(`
+            ${alias}: search(query: $${variableName}, type: ${type}, first: ${first}) {
+                ${selection}
+            }`);
+    });
+    
+    return {
+        query: `query ${operationName}(${definitions.join(', ')}) {${fields.join('')}
+        }`,
+        variables
+    };
+}
+
+/**
+ * Estimate the query cost of an aliased search: a count-only search costs one point,
+ * and a search that also fetches nodes one more per started hundred nodes
+ *
+ * @param {Object} search - Search to run ({alias, query, type, selection, first})
+ * @returns {number} Estimated cost in points
+ */
+export function estimateSearchCost({ first = 0 }) {
+    return 1 + Math.ceil(first / 100);
+}
+
+/**
+ * Split aliased searches into batches that each stay within a node and cost budget,
+ * keeping their order. Every alias counts as one node.
+ *
+ * @param {Array} searches - Searches to run ({alias, query, type, selection, first})
+ * @param {Object} budget - Most aliased searches and estimated cost per request ({maxNodes, maxCost})
+ * @returns {Array} Batches of searches; a search over the cost budget still gets a batch of its own
+ */
+export function planSearchBatches(searches, { maxNodes, maxCost }) {
+    const batches = [];
+    let batch = [];
+    let batchCost = 0;
+    
+    searches.forEach(search => {
+        const cost = estimateSearchCost(search);
+        
+        if (batch.length > 0 && (batch.length + 1 > maxNodes || batchCost + cost > maxCost)) {
+            batches.push(batch);
+            batch = [];
+            batchCost = 0;
+        }
+        
+        batch.push(search);
+        batchCost += cost;
+    });
+    
+    if (batch.length > 0) {
+        batches.push(batch);
+    }
+    
+    return batches;
+}
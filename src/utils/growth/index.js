@@ -0,0 +1,162 @@
+/**
+ * Growth utilities - Growth rates, moving averages and momentum of trend series
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+
+// Moving average windows offered, in periods
+export const MOVING_AVERAGE_WINDOWS = [2, 3, 4, 6, 12];
+
+/**
+ * Calculate the relative change from one value to another
+ * @param {number} previous - Earlier value
+ * @param {number} current - Later value
+ * @returns {number|null} Change as a fraction (0.1 is +10%), or null without a positive earlier value
+ */
+function getChange(previous, current) {
+    if (!(previous > 0) || current === undefined || current === null) return null;
+    return current / previous - 1;
+}
+
+/**
+ * Estimate how many periods of a series make up a year, from the spacing of their start dates
+ * @param {Array} points - Time points ({startDate}), oldest first
+ * @returns {number|null} Periods per year, or null with fewer than two points
+ */
+export function getPeriodsPerYear(points) {
+    if (points.length < 2) return null;
+
+    const first = new Date(points[0].startDate).getTime();
+    const last = new Date(points[points.length - 1].startDate).getTime();
+    const spacingDays = (last - first) / DAY / (points.length - 1);
+
+    return spacingDays > 0 ? YEAR_DAYS / spacingDays : null;
+}
+
+/**
+ * Calculate the change of every value from the value a number of periods earlier
+ * @param {Array} values - Values, oldest first
+ * @param {number} lag - Number of periods to look back (1 for period-over-period)
+ * @returns {Array} Changes as fractions; null where there is nothing to compare with
+ */
+export function calculateChanges(values, lag = 1) {
+    return values.map((value, index) => index >= lag ? getChange(values[index - lag], value) : null);
+}
+
+/**
+ * Calculate the trailing moving average of every value
+ * @param {Array} values - Values, oldest first
+ * @param {number} window - Number of periods averaged
+ * @returns {Array} Averages; null until a full window is available
+ */
+export function calculateMovingAverage(values, window) {
+    return values.map((_, index) => {
+        if (index < window - 1) return null;
+
+        const slice = values.slice(index - window + 1, index + 1);
+        if (slice.some(value => value === undefined || value === null)) return null;
+        return slice.reduce((sum, value) => sum + value, 0) / window;
+    });
+}
+
+/**
+ * Calculate the compound annual growth rate between the first and last value of a series
+ * @param {Array} points - Time points ({startDate}), oldest first
+ * @param {Array} values - Values of the points
+ * @returns {number|null} CAGR as a fraction, or null when it can't be calculated
+ */
+export function calculateCagr(points, values) {
+    if (points.length < 2) return null;
+
+    const years = (new Date(points[points.length - 1].startDate) - new Date(points[0].startDate)) / DAY / YEAR_DAYS;
+    const first = values[0];
+    const last = values[values.length - 1];
+
+    if (!(years > 0) || !(first > 0) || !(last >= 0)) return null;
+    return (last / first) ** (1 / years) - 1;
+}
+
+/**
+ * Measure recent acceleration: the growth of the last window of periods over the window before,
+ * minus the growth of that window over the one before it
+ * @param {Array} values - Values, oldest first
+ * @param {number} window - Number of periods per window
+ * @returns {number|null} Acceleration in growth fractions, or null with fewer than three windows
+ */
+export function calculateMomentum(values, window) {
+    if (values.length < window * 3) return null;
+
+    const sumWindow = (end) => values.slice(end - window, end).reduce((sum, value) => sum + (value || 0), 0);
+    const recent = sumWindow(values.length);
+    const previous = sumWindow(values.length - window);
+    const earlier = sumWindow(values.length - 2 * window);
+
+    const recentGrowth = getChange(previous, recent);
+    const previousGrowth = getChange(earlier, previous);
+    if (recentGrowth === null || previousGrowth === null) return null;
+
+    return recentGrowth - previousGrowth;
+}
+
+/**
+ * Summarize the growth of a series over its complete periods; a partial last period is left out
+ * @param {Array} points - Time points ({startDate, partial}), oldest first
+ * @param {Array} values - Values of the points
+ * @param {number} window - Moving average and momentum window, in periods
+ * @returns {Object} Latest value and change, YoY change, CAGR, moving average and momentum
+ */
+export function summarizeGrowth(points, values, window) {
+    const complete = points.filter(point => !point.partial);
+    const completeValues = values.slice(0, complete.length);
+    const periodsPerYear = getPeriodsPerYear(complete);
+    const yearLag = periodsPerYear ? Math.round(periodsPerYear) : null;
+    const last = complete.length - 1;
+
+    return {
+        latest: last >= 0 ? completeValues[last] : null,
+        periodChange: calculateChanges(completeValues)[last] ?? null,
+        yoyChange: yearLag ? calculateChanges(completeValues, yearLag)[last] ?? null : null,
+        cagr: calculateCagr(complete, completeValues),
+        movingAverage: calculateMovingAverage(completeValues, window)[last] ?? null,
+        momentum: calculateMomentum(completeValues, window)
+    };
+}
+
+/**
+ * Rank terms by momentum, fastest accelerating first; terms without momentum come last
+ * @param {Object} summaries - Growth summaries keyed by term
+ * @returns {Object} Momentum rank (1-based) keyed by term, null for terms without momentum
+ */
+export function rankByMomentum(summaries) {
+    const ranked = Object.keys(summaries)
+        .filter(term => summaries[term].momentum !== null)
+        .sort((a, b) => summaries[b].momentum - summaries[a].momentum);
+
+    return Object.fromEntries(Object.keys(summaries).map(term => [
+        term,
+        ranked.includes(term) ? ranked.indexOf(term) + 1 : null
+    ]));
+}
+
+/**
+ * Build the derived series of a trend series for the chart
+ * @param {Array} points - Time points ({startDate, partial}), oldest first
+ * @param {Array} values - Values of the points
+ * @param {number} window - Moving average window, in periods
+ * @returns {Object} Moving average, period-over-period and YoY change (in %) per point;
+ *                   null at points without a value, including a partial last period
+ */
+export function getDerivedSeries(points, values, window) {
+    const completeValues = values.map((value, index) => points[index].partial ? null : value);
+    const periodsPerYear = getPeriodsPerYear(points.filter(point => !point.partial));
+    const toPercent = change => change === null ? null : change * 100;
+
+    return {
+        movingAverage: calculateMovingAverage(completeValues, window),
+        periodChange: calculateChanges(completeValues).map(toPercent),
+        yoyChange: periodsPerYear
+            ? calculateChanges(completeValues, Math.round(periodsPerYear)).map(toPercent)
+            : completeValues.map(() => null)
+    };
+}
@@ -22,6 +22,41 @@ export function calculateHIndex(repos, property) {
     return hIndex;
 }
 
+/**
+ * Calculate the median of a list of repositories based on a specified property
+ * 
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - The property to take the median of (e.g., 'stargazers_count')
+ * @returns {number} - The median value, or 0 for an empty list
+ */
+export function calculateMedian(repos, property) {
+    if (!repos || repos.length === 0) return 0;
+    
+    const values = repos.map(repo => repo[property]).sort((a, b) => a - b);
+    const middle = Math.floor(values.length / 2);
+    
+    // Average the two middle values for an even number of repositories
+    if (values.length % 2 === 0) {
+        return (values[middle - 1] + values[middle]) / 2;
+    }
+    
+    return values[middle];
+}
+
+/**
+ * Get the most popular repositories by a specified property
+ * 
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - The property to rank by (e.g., 'stargazers_count')
+ * @param {number} count - Number of repositories to return
+ * @returns {Array} - The top repositories, most popular first
+ */
+export function getTopRepos(repos, property, count = 10) {
+    return [...repos]
+        .sort((a, b) => b[property] - a[property])
+        .slice(0, count);
+}
+
 /**
  * Format a number with thousands separators for better readability
  * 
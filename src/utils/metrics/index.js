@@ -0,0 +1,122 @@
+/**
+ * Impact metrics - Indices beyond the H-Index, calculated from the same repository lists
+ */
+import { calculateHIndex } from '..';
+
+// Thresholds for the i10/i100-style counts
+export const IMPACT_THRESHOLDS = [10, 100];
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the values of a property sorted in descending order
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - Property to read (e.g., 'stargazers_count')
+ * @returns {Array} - Sorted values
+ */
+function getSortedValues(repos, property) {
+    return repos.map(repo => repo[property]).sort((a, b) => b - a);
+}
+
+/**
+ * Calculate the g-index: the largest g such that the top g repositories
+ * together have at least g² of the property
+ *
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - The property to calculate the g-index on
+ * @returns {number} - The calculated g-index
+ */
+export function calculateGIndex(repos, property) {
+    const values = getSortedValues(repos, property);
+
+    let gIndex = 0;
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (sum >= (i + 1) ** 2) {
+            gIndex = i + 1;
+        }
+    }
+
+    return gIndex;
+}
+
+/**
+ * Count the repositories with at least a given value, e.g. the i10-index for a threshold of 10
+ *
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - The property to compare
+ * @param {number} threshold - Minimum value
+ * @returns {number} - Number of repositories at or above the threshold
+ */
+export function countAtLeast(repos, property, threshold) {
+    return repos.filter(repo => repo[property] >= threshold).length;
+}
+
+/**
+ * Calculate the e-index: the square root of the excess of the H-core (the top h repositories)
+ * over the h² it needs for the H-Index
+ *
+ * @param {Array} repos - Array of repository objects
+ * @param {string} property - The property to calculate the e-index on
+ * @returns {number} - The calculated e-index, rounded to two decimals
+ */
+export function calculateEIndex(repos, property) {
+    const hIndex = calculateHIndex(repos, property);
+    const coreSum = getSortedValues(repos, property)
+        .slice(0, hIndex)
+        .reduce((sum, value) => sum + value, 0);
+
+    return Math.round(Math.sqrt(coreSum - hIndex ** 2) * 100) / 100;
+}
+
+/**
+ * Calculate the m-quotient: the H-Index divided by the years since the oldest repository
+ *
+ * @param {number} hIndex - H-Index of the repositories
+ * @param {Array} repos - Array of repository objects with `created_at`
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {number|null} - The m-quotient rounded to two decimals, or null without creation dates
+ */
+export function calculateMQuotient(hIndex, repos, now = new Date()) {
+    const createdDates = repos
+        .map(repo => new Date(repo.created_at).getTime())
+        .filter(time => !isNaN(time));
+
+    if (createdDates.length === 0) return null;
+
+    const years = (now.getTime() - Math.min(...createdDates)) / MS_PER_YEAR;
+    if (years <= 0) return null;
+
+    return Math.round(hIndex / years * 100) / 100;
+}
+
+/**
+ * Calculate every impact metric for a list of repositories
+ *
+ * @param {Array} repos - Array of repository objects, typically the most popular ones of a search
+ * @param {string} property - The property to calculate on ('stargazers_count' or 'forks_count')
+ * @param {Object} options - Optional inputs
+ * @param {boolean} options.complete - Whether repos contains every repository of the search
+ * @param {Object} options.thresholdCounts - Exact counts per threshold (e.g. {10: 420, 100: 37}),
+ *                                           used instead of counting the fetched repos
+ * @returns {Object} - Object containing hIndex, gIndex, gIndexExact, i10, i100, mQuotient and eIndex
+ */
+export function calculateImpactMetrics(repos, property, { complete = false, thresholdCounts = {} } = {}) {
+    const hIndex = calculateHIndex(repos, property);
+    const gIndex = calculateGIndex(repos, property);
+    const [i10, i100] = IMPACT_THRESHOLDS.map(threshold =>
+        thresholdCounts[threshold] ?? countAtLeast(repos, property, threshold)
+    );
+
+    return {
+        hIndex,
+        gIndex,
+        // The g-index only depends on the top g repositories, so it is exact unless all fetched ones count
+        gIndexExact: complete || gIndex < repos.length,
+        i10,
+        i100,
+        mQuotient: calculateMQuotient(hIndex, repos),
+        eIndex: calculateEIndex(repos, property)
+    };
+}
@@ -0,0 +1,247 @@
+/**
+ * Utility functions for splitting a search term into free text and structured
+ * GitHub search qualifiers, and composing them back into a search string
+ */
+
+// Values accepted by the `in:` qualifier
+export const SEARCH_FIELDS = ['name', 'description', 'readme'];
+
+// Qualifiers that only repository searches understand; issue and discussion searches
+// reject or misread them
+const REPOSITORY_ONLY_QUALIFIERS = ['stars', 'forks', 'size', 'pushed', 'topic', 'topics', 'license', 'fork', 'archived', 'mirror', 'template', 'followers'];
+
+/**
+ * Split a search string into tokens, keeping quoted phrases and quoted qualifier
+ * values (e.g. 'language:"Jupyter Notebook"') together
+ * @param {string} search - Search string
+ * @returns {Array} Tokens
+ */
+function tokenize(search) {
+    return search.match(/-?[a-z]+:"[^"]*"|"[^"]*"|\S+/gi) || [];
+}
+
+/**
+ * Format a qualifier value, quoting it if it contains spaces
+ * @param {string} value - Qualifier value
+ * @returns {string} Value as written in a search string
+ */
+function formatQualifierValue(value) {
+    const trimmed = String(value).trim();
+    return /\s/.test(trimmed) ? `"${trimmed}"` : trimmed;
+}
+
+/**
+ * Get the qualifier name of a token
+ * @param {string} token - Search token, e.g. 'language:rust' or 'language:"Jupyter Notebook"'
+ * @returns {string|null} Lowercased qualifier name, or null for free text
+ */
+function getQualifierKey(token) {
+    const match = token.match(/^-?([a-z]+):(?:"[^"]*"|\S+)$/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Create an empty qualifier set
+ * @returns {Object} Qualifiers with nothing selected
+ */
+export function createEmptyQualifiers() {
+    return {
+        language: '',
+        topic: '',
+        license: '',
+        in: [],
+        minStars: '',
+        excludeArchived: false,
+        excludeForks: false,
+        ownerType: 'user',
+        owner: '',
+        pushedAfter: ''
+    };
+}
+
+/**
+ * Apply a single `key:value` token to a qualifier set
+ * @param {Object} qualifiers - Qualifier set to update
+ * @param {string} key - Qualifier name
+ * @param {string} value - Qualifier value
+ * @returns {boolean} True if the token was recognized
+ */
+function applyQualifier(qualifiers, key, value) {
+    switch (key) {
+        case 'language':
+        case 'topic':
+        case 'license':
+            if (qualifiers[key]) return false;
+            qualifiers[key] = value;
+            return true;
+        case 'in': {
+            const fields = value.split(',');
+            if (qualifiers.in.length > 0 || !fields.every(field => SEARCH_FIELDS.includes(field))) return false;
+            qualifiers.in = fields;
+            return true;
+        }
+        case 'stars': {
+            const match = value.match(/^>(=?)(\d+)$/);
+            if (!match || qualifiers.minStars !== '') return false;
+            // Store as an inclusive minimum
+            qualifiers.minStars = parseInt(match[2]) + (match[1] ? 0 : 1);
+            return true;
+        }
+        case 'archived':
+            if (value !== 'false') return false;
+            qualifiers.excludeArchived = true;
+            return true;
+        case 'fork':
+            if (value !== 'false') return false;
+            qualifiers.excludeForks = true;
+            return true;
+        case 'user':
+        case 'org':
+            if (qualifiers.owner) return false;
+            qualifiers.ownerType = key;
+            qualifiers.owner = value;
+            return true;
+        case 'pushed': {
+            const match = value.match(/^>(\d{4}-\d{2}-\d{2})$/);
+            if (!match || qualifiers.pushedAfter) return false;
+            qualifiers.pushedAfter = match[1];
+            return true;
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Split a search term into free text and the qualifiers the builder understands.
+ * Anything unrecognized (other qualifiers, quoted phrases, duplicates) stays in the text.
+ *
+ * @param {string} term - Search term, e.g. 'web framework language:rust stars:>10'
+ * @returns {Object} Object containing text and qualifiers
+ */
+export function parseSearchTerm(term) {
+    const qualifiers = createEmptyQualifiers();
+    const textTokens = [];
+    const tokens = tokenize(term);
+
+    tokens.forEach(token => {
+        const match = token.match(/^([a-z]+):(?:"([^"]*)"|(\S+))$/i);
+        if (!match || !applyQualifier(qualifiers, match[1].toLowerCase(), match[2] ?? match[3])) {
+            textTokens.push(token);
+        }
+    });
+
+    return {
+        text: textTokens.join(' '),
+        qualifiers
+    };
+}
+
+/**
+ * Convert a qualifier set into GitHub search syntax. Values are trimmed here, so
+ * the builder can keep them as typed; values with spaces are quoted.
+ * @param {Object} qualifiers - Qualifier set
+ * @returns {Array} Qualifier tokens, e.g. ['language:rust', 'stars:>=10']
+ */
+export function qualifiersToTokens(qualifiers) {
+    const tokens = [];
+
+    ['language', 'topic', 'license'].forEach(key => {
+        if (qualifiers[key].trim()) tokens.push(`${key}:${formatQualifierValue(qualifiers[key])}`);
+    });
+    if (qualifiers.in.length > 0) tokens.push(`in:${qualifiers.in.join(',')}`);
+    if (qualifiers.minStars !== '') tokens.push(`stars:>=${qualifiers.minStars}`);
+    if (qualifiers.excludeArchived) tokens.push('archived:false');
+    if (qualifiers.excludeForks) tokens.push('fork:false');
+    if (qualifiers.owner.trim()) tokens.push(`${qualifiers.ownerType}:${formatQualifierValue(qualifiers.owner)}`);
+    if (qualifiers.pushedAfter) tokens.push(`pushed:>${qualifiers.pushedAfter}`);
+
+    return tokens;
+}
+
+/**
+ * Compose free text and qualifiers into a GitHub search string
+ * @param {string} text - Free-text part of the search
+ * @param {Object} qualifiers - Qualifier set
+ * @returns {string} Search string
+ */
+export function composeSearchTerm(text, qualifiers) {
+    return [text.trim(), ...qualifiersToTokens(qualifiers)].filter(part => part).join(' ');
+}
+
+/**
+ * Describe the qualifiers of a set as short chip labels
+ * @param {Object} qualifiers - Qualifier set
+ * @returns {Array} Labels, e.g. ['language: rust', '≥ 10 ⭐']
+ */
+export function describeQualifiers(qualifiers) {
+    const labels = [];
+
+    if (qualifiers.language) labels.push(`language: ${qualifiers.language}`);
+    if (qualifiers.topic) labels.push(`topic: ${qualifiers.topic}`);
+    if (qualifiers.license) labels.push(`license: ${qualifiers.license}`);
+    if (qualifiers.in.length > 0) labels.push(`in: ${qualifiers.in.join(', ')}`);
+    if (qualifiers.minStars !== '') labels.push(`≥ ${qualifiers.minStars} ⭐`);
+    if (qualifiers.excludeArchived) labels.push('no archived');
+    if (qualifiers.excludeForks) labels.push('no forks');
+    if (qualifiers.owner) labels.push(`${qualifiers.ownerType}: ${qualifiers.owner}`);
+    if (qualifiers.pushedAfter) labels.push(`pushed after ${qualifiers.pushedAfter}`);
+
+    return labels;
+}
+
+/**
+ * Detect an entity term: a single `user:` or `org:` qualifier without any other search text
+ *
+ * @param {string} term - Search term, e.g. 'org:vercel'
+ * @returns {Object|null} Object containing type ('user' or 'org') and login, or null for other terms
+ */
+export function parseEntityTerm(term) {
+    const match = term.trim().match(/^(user|org):([a-z0-9](?:[a-z0-9-]*[a-z0-9])?)$/i);
+    return match ? { type: match[1].toLowerCase(), login: match[2] } : null;
+}
+
+/**
+ * Append global filters to a search term. Qualifiers the term sets itself override
+ * global qualifiers of the same name, so a term can narrow or replace a global filter.
+ * A quoted value is part of its qualifier: 'ml language:python' with the global filters
+ * 'language:"Jupyter Notebook" fork:false' becomes 'ml language:python fork:false'.
+ *
+ * @param {string} term - Search term, e.g. 'rust language:rust'
+ * @param {string} globalFilters - Filters shared by every term, e.g. 'fork:false stars:>5'
+ * @returns {string} The effective search string sent to GitHub
+ */
+export function applyGlobalFilters(term, globalFilters) {
+    if (!globalFilters || !globalFilters.trim()) return term;
+
+    const termKeys = new Set(tokenize(term).map(getQualifierKey).filter(key => key));
+    const inherited = tokenize(globalFilters).filter(token => {
+        const key = getQualifierKey(token);
+        return !key || !termKeys.has(key);
+    });
+
+    return [term.trim(), ...inherited].filter(part => part).join(' ');
+}
+
+/**
+ * Remove the qualifiers that only apply to repositories, so a repository search term can be
+ * reused for issues, pull requests and discussions. `in:` keeps its non-repository fields:
+ * 'ml stars:>10 in:name,readme,title' becomes 'ml in:title'.
+ *
+ * @param {string} search - Repository search string
+ * @returns {string} Search string without repository-only qualifiers
+ */
+export function stripRepositoryQualifiers(search) {
+    return tokenize(search)
+        .map(token => {
+            const key = getQualifierKey(token);
+            if (REPOSITORY_ONLY_QUALIFIERS.includes(key)) return '';
+            if (key !== 'in') return token;
+
+            const [prefix, value] = token.split(':');
+            const fields = value.split(',').filter(field => !SEARCH_FIELDS.includes(field.toLowerCase()));
+            return fields.length > 0 ? `${prefix}:${fields.join(',')}` : '';
+        })
+        .filter(token => token)
+        .join(' ');
+}
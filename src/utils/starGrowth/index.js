@@ -0,0 +1,85 @@
+/**
+ * Star growth utilities - Growth rates of a repository's cumulative star history
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Estimate the star count at a moment by interpolating between history points
+ * @param {Array} points - Cumulative history ({date, stars}), oldest first
+ * @param {number} time - Moment in milliseconds since the epoch
+ * @returns {number} Estimated star count
+ */
+export function interpolateStars(points, time) {
+    if (points.length === 0 || time < new Date(points[0].date).getTime()) return 0;
+
+    for (let i = 1; i < points.length; i++) {
+        const end = new Date(points[i].date).getTime();
+        if (time <= end) {
+            const start = new Date(points[i - 1].date).getTime();
+            const share = end === start ? 1 : (time - start) / (end - start);
+            return Math.round(points[i - 1].stars + share * (points[i].stars - points[i - 1].stars));
+        }
+    }
+
+    return points[points.length - 1].stars;
+}
+
+/**
+ * Find the calendar month in which a repository gained the most stars
+ * @param {Array} points - Cumulative history ({date, stars}), oldest first
+ * @param {Date} now - End of the history
+ * @returns {Object|null} Peak month ({month: 'YYYY-MM', stars, date}) or null without history
+ */
+export function findPeakMonth(points, now = new Date()) {
+    if (points.length === 0) return null;
+
+    const first = new Date(points[0].date);
+    let peak = null;
+
+    for (let start = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), 1)); start < now;) {
+        const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+        const stars = interpolateStars(points, Math.min(end.getTime(), now.getTime())) - interpolateStars(points, start.getTime());
+
+        if (!peak || stars > peak.stars) {
+            peak = {
+                month: start.toISOString().slice(0, 7),
+                stars,
+                // Middle of the month, for marking the peak on a chart
+                date: new Date((start.getTime() + Math.min(end.getTime(), now.getTime())) / 2).toISOString()
+            };
+        }
+
+        start = end;
+    }
+
+    return peak;
+}
+
+/**
+ * Calculate the recent and average growth of a star history
+ * @param {Array} points - Cumulative history ({date, stars}), oldest first
+ * @param {Date} now - End of the history
+ * @param {boolean} truncated - Whether the dates of the newest stars are unknown; the recent
+ * growth and peak month are then null, since only the average can be told from the total
+ * @returns {Object} Stars gained in the last 30 and 365 days, average per month and the peak month
+ */
+export function calculateStarGrowth(points, now = new Date(), truncated = false) {
+    if (points.length === 0) {
+        return { last30Days: 0, last365Days: 0, perMonth: 0, peakMonth: null };
+    }
+
+    const current = points[points.length - 1].stars;
+    const months = Math.max((now - new Date(points[0].date)) / (30 * DAY), 1);
+
+    if (truncated) {
+        return { last30Days: null, last365Days: null, perMonth: Math.round(current / months), peakMonth: null };
+    }
+
+    return {
+        last30Days: current - interpolateStars(points, now.getTime() - 30 * DAY),
+        last365Days: current - interpolateStars(points, now.getTime() - 365 * DAY),
+        perMonth: Math.round(current / months),
+        peakMonth: findPeakMonth(points, now)
+    };
+}
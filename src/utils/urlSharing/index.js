@@ -8,15 +8,29 @@
  */
 export function parseUrlParams() {
     const params = new URLSearchParams(window.location.search);
+    
+    // Links from before custom date ranges carry whole years
+    const startYear = parseInt(params.get('startYear')) || new Date().getFullYear() - 3;
+    const endYear = parseInt(params.get('endYear'));
+    
     return {
         searchTerm: params.get('search'),
+        globalFilters: params.get('filters') || '',
         dateLimit: params.get('date') || '2023-01-01',
-        startYear: parseInt(params.get('startYear')) || new Date().getFullYear() - 3,
-        endYear: parseInt(params.get('endYear')) || new Date().getFullYear(),
+        startDate: params.get('from') || `${startYear}-01-01`,
+        endDate: params.get('to') || (endYear ? `${endYear}-12-31` : new Date().toISOString().slice(0, 10)),
         granularity: params.get('granularity') || 'year',
+        windowDays: parseInt(params.get('window')) || 30,
+        stepDays: parseInt(params.get('step')) || 7,
+        includeCurrent: params.get('current') === 'true',
+        normalizeBy: ['all', 'term'].includes(params.get('norm')) ? params.get('norm') : '',
+        referenceTerm: params.get('ref') || '',
+        shareUnit: params.get('unit') === 'per10k' ? 'per10k' : 'percent',
         metric: params.get('metric') || 'repositories',
         showHIndexAnalysis: params.get('showHIndex') === 'true',
-        showTrendAnalysis: params.get('showTrend') === 'true'
+        showTrendAnalysis: params.get('showTrend') === 'true',
+        includeForks: params.get('forks') === 'true',
+        engagementScore: ['reactions', 'comments'].includes(params.get('engagement')) ? params.get('engagement') : ''
     };
 }
 
@@ -24,34 +38,61 @@ export function parseUrlParams() {
  * Update URL with unified search parameters
  * @param {string} searchTerm - Search term or multiple terms separated by ;
  * @param {string} dateLimit - Date limit for repo creation
- * @param {number} startYear - Start year for trend analysis
- * @param {number} endYear - End year for trend analysis
+ * @param {string} startDate - Start date of the trend analysis (YYYY-MM-DD)
+ * @param {string} endDate - End date of the trend analysis (YYYY-MM-DD)
  * @param {string} granularity - Time granularity for trend analysis
  * @param {string} metric - Metric type for trend analysis
  * @param {boolean} showHIndexAnalysis - Whether to show H-Index analysis
  * @param {boolean} showTrendAnalysis - Whether to show trend analysis
+ * @param {string} globalFilters - Qualifiers appended to every search term
+ * @param {boolean} includeForks - Whether user:/org: terms include forked repositories
+ * @param {string} engagementScore - Score for the issue/PR/discussion H-Index, empty when disabled
+ * @param {Object} rollingWindow - Rolling window size and step in days ({windowDays, stepDays})
+ * @param {boolean} includeCurrent - Whether trends include the period in progress
+ * @param {Object} normalization - Trend baseline and share unit ({normalizeBy, referenceTerm, shareUnit})
  */
 export function updateSearchUrl(
     searchTerm, 
     dateLimit, 
-    startYear, 
-    endYear, 
+    startDate, 
+    endDate, 
     granularity, 
     metric, 
     showHIndexAnalysis,
-    showTrendAnalysis
+    showTrendAnalysis,
+    globalFilters,
+    includeForks,
+    engagementScore,
+    rollingWindow,
+    includeCurrent,
+    normalization
 ) {
     const params = new URLSearchParams();
     
     if (searchTerm) params.set('search', searchTerm);
+    if (globalFilters) params.set('filters', globalFilters);
     if (dateLimit) params.set('date', dateLimit);
+    if (includeForks) params.set('forks', 'true');
+    if (engagementScore) params.set('engagement', engagementScore);
     
     // Only add trend parameters if trend analysis is enabled
     if (showTrendAnalysis) {
-        params.set('startYear', startYear);
-        params.set('endYear', endYear);
+        params.set('from', startDate);
+        params.set('to', endDate);
         params.set('granularity', granularity);
         params.set('metric', metric);
+        
+        if (granularity === 'rolling' && rollingWindow) {
+            params.set('window', rollingWindow.windowDays);
+            params.set('step', rollingWindow.stepDays);
+        }
+        if (includeCurrent) params.set('current', 'true');
+        
+        if (normalization?.normalizeBy) {
+            params.set('norm', normalization.normalizeBy);
+            if (normalization.normalizeBy === 'term') params.set('ref', normalization.referenceTerm);
+            params.set('unit', normalization.shareUnit);
+        }
     }
     
     // Add analysis option flags
@@ -73,14 +114,27 @@ export function generateShareableUrl(settings) {
     
     // Common parameters
     if (settings.searchTerm) params.set('search', settings.searchTerm);
+    if (settings.globalFilters) params.set('filters', settings.globalFilters);
     if (settings.dateLimit) params.set('date', settings.dateLimit);
+    if (settings.includeForks) params.set('forks', 'true');
+    if (settings.engagementScore) params.set('engagement', settings.engagementScore);
     
     // Trend-specific parameters (only if trend analysis is enabled)
     if (settings.showTrendAnalysis) {
-        if (settings.startYear) params.set('startYear', settings.startYear);
-        if (settings.endYear) params.set('endYear', settings.endYear);
+        if (settings.startDate) params.set('from', settings.startDate);
+        if (settings.endDate) params.set('to', settings.endDate);
         if (settings.granularity) params.set('granularity', settings.granularity);
         if (settings.metric) params.set('metric', settings.metric);
+        if (settings.granularity === 'rolling') {
+            if (settings.windowDays) params.set('window', settings.windowDays);
+            if (settings.stepDays) params.set('step', settings.stepDays);
+        }
+        if (settings.includeCurrent) params.set('current', 'true');
+        if (settings.normalizeBy) {
+            params.set('norm', settings.normalizeBy);
+            if (settings.normalizeBy === 'term') params.set('ref', settings.referenceTerm);
+            params.set('unit', settings.shareUnit);
+        }
     }
     
     // Analysis flags
@@ -105,4 +159,24 @@ export async function copyShareableUrl(settings) {
         console.error('Failed to copy URL:', err);
         return false;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Get the path of a repository's drill-down page, keeping the current search parameters
+ * so the page knows the analysis it was opened from
+ * @param {string} fullName - Repository name with owner (e.g. 'facebook/react')
+ * @returns {string} Path of the repository page
+ */
+export function getRepositoryPath(fullName) {
+    return `/repo/${fullName}${window.location.search}`;
+}
+
+/**
+ * Get the path of a term's detail page, keeping the current search parameters
+ * so the page applies the same filters
+ * @param {string} term - Search term
+ * @returns {string} Path of the term page
+ */
+export function getTermPath(term) {
+    return `/term/${encodeURIComponent(term)}${window.location.search}`;
+}